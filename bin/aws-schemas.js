@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import { Boto3ServiceJsonParser } from '../src/extractor.js';
+import { SchemaValidator } from '../src/validator.js';
+import { SchemaTestSuite } from '../src/test.js';
+import { ExtractionFilter } from '../src/filter.js';
+
+const DEFAULT_BOTOCORE_DATA_PATH = './botocore/botocore/data';
+const DEFAULT_SCHEMAS_PATH = './aws-schemas';
+
+const OPTIONS = {
+    input: { type: 'string', short: 'i' },
+    output: { type: 'string', short: 'o' },
+    service: { type: 'string', short: 's', multiple: true },
+    filter: { type: 'string', multiple: true },
+    concurrency: { type: 'string', short: 'c' },
+    format: { type: 'string', short: 'f', default: 'text' },
+    'json-schema': { type: 'boolean', default: false },
+    'all-api-versions': { type: 'boolean', default: false },
+    full: { type: 'boolean', default: false },
+    reproducible: { type: 'boolean', default: false },
+    layout: { type: 'string' },
+    gzip: { type: 'boolean', default: false },
+    limit: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const OPTION_HELP = {
+    input: '-i, --input <path>       Schemas directory to read (default: $SCHEMAS_PATH or ./aws-schemas)',
+    extractInput: '-i, --input <path>       Botocore data directory (default: $BOTOCORE_DATA_PATH or ./botocore/botocore/data)',
+    output: '-o, --output <path>      Directory to write schemas to (default: $SCHEMAS_PATH or ./aws-schemas)',
+    service: '-s, --service <name>     Only include this service (repeatable or comma-separated)',
+    filter: '    --filter <pattern>   Include/exclude pattern, e.g. ec2:Describe* or !ec2:*Ipam*; narrows --service (repeatable or comma-separated)',
+    concurrency: '-c, --concurrency <n>    Services parsed and written at the same time (default: $CONCURRENCY or 8)',
+    format: '-f, --format <format>    Output format: text or json (default: text)',
+    'json-schema': '    --json-schema        Also write <Command>.schema.json files',
+    'all-api-versions': '    --all-api-versions   Also extract older API versions into <service>/<apiVersion>/',
+    full: '    --full               Re-extract every service, even those unchanged since the last run',
+    reproducible: '    --reproducible       Sorted keys and one source-derived timestamp, for output committed to git',
+    layout: '    --layout <layout>    Output layout: files, bundle or ndjson (default: $LAYOUT or files)',
+    gzip: '    --gzip               Gzip bundles or the command stream (bundle and ndjson layouts)',
+    limit: '    --limit <n>          Ranked results to show (default: 20)',
+    help: '-h, --help               Show help'
+};
+
+const COMMANDS = {
+    extract: {
+        usage: 'extract [--input <botocore-data>] [--output <dir>] [--service <name>...] [--filter <pattern>...] [--concurrency <n>] [--json-schema] [--all-api-versions] [--full] [--reproducible] [--layout <layout>] [--gzip]',
+        description: 'Extract command schemas from a botocore data directory',
+        options: ['extractInput', 'output', 'service', 'filter', 'concurrency', 'json-schema', 'all-api-versions', 'full', 'reproducible', 'layout', 'gzip'],
+        run: runExtract
+    },
+    validate: {
+        usage: 'validate [--input <dir>]',
+        description: 'Validate extracted schemas',
+        options: ['input'],
+        run: runValidate
+    },
+    test: {
+        usage: 'test [name] [--input <dir>]',
+        description: 'Run the schema test suite, or a single named test',
+        options: ['input'],
+        run: runTest
+    },
+    show: {
+        usage: 'show <service> <command> [--input <dir>] [--format text|json]',
+        description: 'Show the schema of one command (the Command suffix is optional)',
+        options: ['input', 'format'],
+        run: runShow
+    },
+    search: {
+        usage: 'search <query...> [--input <dir>] [--service <name>...] [--filter <pattern>...] [--limit <n>] [--format text|json]',
+        description: 'Rank commands by name, parameters and documentation (e.g. "encrypt snapshot parameter:KmsKeyId")',
+        options: ['input', 'service', 'filter', 'limit', 'format'],
+        run: runSearch
+    },
+    'list-services': {
+        usage: 'list-services [--input <dir>] [--service <name>...] [--filter <pattern>...] [--format text|json]',
+        description: 'List extracted services with their API version and command count',
+        options: ['input', 'service', 'filter', 'format'],
+        run: runListServices
+    }
+};
+
+/**
+ * Print general help, or the help of a single command
+ */
+function printHelp(commandName = null) {
+    const command = commandName && COMMANDS[commandName];
+
+    if (command) {
+        console.log(`Usage: aws-schemas ${command.usage}\n`);
+        console.log(`${command.description}\n`);
+        console.log('Options:');
+        for (const option of [...command.options, 'help']) {
+            console.log(`  ${OPTION_HELP[option]}`);
+        }
+        return;
+    }
+
+    console.log('Usage: aws-schemas <command> [options]\n');
+    console.log('Commands:');
+    for (const [name, { description }] of Object.entries(COMMANDS)) {
+        console.log(`  ${name.padEnd(15)} ${description}`);
+    }
+    console.log('\nRun "aws-schemas <command> --help" for the options of a command.');
+}
+
+/**
+ * Flatten repeated and comma-separated option values (null when not given)
+ */
+function parseList(values) {
+    const items = (values || [])
+        .flatMap(value => value.split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+
+    return items.length > 0 ? items : null;
+}
+
+/**
+ * Filter of --service names narrowed by --filter patterns
+ */
+function createFilter(values) {
+    return new ExtractionFilter(parseList(values.filter) || [], parseList(values.service) || []);
+}
+
+/**
+ * Schemas directory read by every command except extract
+ */
+function getSchemasPath(values) {
+    return values.input || process.env.SCHEMAS_PATH || DEFAULT_SCHEMAS_PATH;
+}
+
+/**
+ * Error for bad command-line usage (prints the command's help)
+ */
+function usageError(message) {
+    const error = new Error(message);
+    error.code = 'USAGE';
+    return error;
+}
+
+/**
+ * Extract schemas from botocore into the output directory
+ */
+async function runExtract(args, values) {
+    const inputPath = values.input || process.env.BOTOCORE_DATA_PATH || DEFAULT_BOTOCORE_DATA_PATH;
+    const outputPath = values.output || process.env.SCHEMAS_PATH || DEFAULT_SCHEMAS_PATH;
+    const concurrency = Number(values.concurrency || process.env.CONCURRENCY || 8);
+
+    try {
+        await fs.access(inputPath);
+    } catch (error) {
+        throw new Error(`Botocore data path not found: ${inputPath} (clone https://github.com/boto/botocore.git or pass --input)`);
+    }
+
+    const parser = new Boto3ServiceJsonParser(inputPath, {
+        outputPath,
+        services: parseList(values.service || [process.env.SERVICES || '']),
+        filters: parseList(values.filter || [process.env.FILTERS || '']),
+        concurrency,
+        incremental: !values.full && process.env.INCREMENTAL !== 'false',
+        reproducible: values.reproducible || process.env.REPRODUCIBLE === 'true',
+        layout: values.layout || process.env.LAYOUT || 'files',
+        gzip: values.gzip || process.env.GZIP_OUTPUT === 'true',
+        searchIndex: process.env.SEARCH_INDEX !== 'false',
+        jsonSchema: values['json-schema'] || process.env.JSON_SCHEMA === 'true',
+        allApiVersions: values['all-api-versions'] || process.env.ALL_API_VERSIONS === 'true'
+    });
+    await parser.parseAllServiceJsonFiles();
+
+    return 0;
+}
+
+/**
+ * Validate every extracted schema
+ */
+async function runValidate(args, values) {
+    const validator = new SchemaValidator(getSchemasPath(values));
+    const isValid = await validator.validateAllSchemas();
+
+    return isValid ? 0 : 1;
+}
+
+/**
+ * Run the test suite (or one named test)
+ */
+async function runTest(args, values) {
+    const testSuite = new SchemaTestSuite(getSchemasPath(values));
+    const [testName] = args;
+
+    const success = testName
+        ? await testSuite.runSpecificTest(testName)
+        : await testSuite.runAllTests();
+
+    return success ? 0 : 1;
+}
+
+/**
+ * Print one command schema
+ */
+async function runShow(args, values) {
+    const [serviceName, command] = args;
+    if (!serviceName || !command) {
+        throw usageError('show needs a service and a command, e.g. "aws-schemas show s3 PutObject"');
+    }
+
+    const commandName = command.endsWith('Command') ? command : `${command}Command`;
+    const loader = Boto3ServiceJsonParser.createRuntimeLoader(getSchemasPath(values));
+    const schema = await loader.getCommandSchema(commandName, serviceName); // Throws when it is missing
+
+    if (values.format === 'json') {
+        console.log(JSON.stringify(schema, null, 2));
+        return 0;
+    }
+
+    console.log(`${schema.command} (${schema.service}${schema.apiVersion ? ` ${schema.apiVersion}` : ''})`);
+    if (schema.http) {
+        console.log(`${schema.http.method} ${schema.http.requestUri}`);
+    }
+    if (schema.documentation) {
+        console.log(`\n${schema.documentation.replace(/<[^>]*>/g, '').trim()}`);
+    }
+
+    const parameters = Object.values(schema.parameters || {});
+    const nameWidth = Math.max(0, ...parameters.map(param => param.name.length));
+    const describeParam = param => {
+        const type = param.shape && (param.type === 'object' || param.type === 'array')
+            ? `${param.type} (${param.shape})`
+            : param.type;
+        const location = param.location && param.location !== 'body' ? ` [${param.location}]` : '';
+        return `  ${param.name.padEnd(nameWidth)}  ${type}${location}`;
+    };
+
+    for (const [label, required] of [['Required parameters', true], ['Optional parameters', false]]) {
+        const group = parameters.filter(param => Boolean(param.required) === required);
+        console.log(`\n${label}:${group.length === 0 ? ' none' : ''}`);
+        group.forEach(param => console.log(describeParam(param)));
+    }
+
+    const outputMembers = schema.output && schema.output.members ? Object.keys(schema.output.members) : [];
+    console.log(`\nOutput: ${outputMembers.length > 0 ? outputMembers.join(', ') : 'none'}`);
+    if (schema.errors && schema.errors.length > 0) {
+        console.log(`Errors: ${schema.errors.map(error => error.shape).join(', ')}`);
+    }
+    if (schema.pagination && schema.pagination.paginated) {
+        console.log(`Pagination: ${schema.pagination.inputToken.join(', ')} → ${schema.pagination.outputToken.join(', ')}`);
+    }
+    if (schema.waiters && schema.waiters.length > 0) {
+        console.log(`Waiters: ${schema.waiters.join(', ')}`);
+    }
+
+    return 0;
+}
+
+/**
+ * Print commands ranked by the search index, or whose name contains the term when the
+ * schemas were extracted without one
+ */
+async function runSearch(args, values) {
+    const term = args.join(' ');
+    if (!term) {
+        throw usageError('search needs a term, e.g. "aws-schemas search Tag"');
+    }
+
+    const limit = Number(values.limit || 20);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw usageError(`--limit must be a positive integer, got ${values.limit}`);
+    }
+
+    const filter = createFilter(values);
+    const loader = Boto3ServiceJsonParser.createRuntimeLoader(getSchemasPath(values));
+    const index = await loader.loadServiceIndex();
+    const ranked = Boolean(index && index.search);
+    const results = (ranked ? await loader.search(term, { limit: Infinity }) : await loader.searchCommands(term))
+        .filter(result => filter.matchesOperation(result.service, result.command.replace(/Command$/, '')))
+        .slice(0, ranked ? limit : undefined);
+
+    if (values.format === 'json') {
+        console.log(JSON.stringify(results, null, 2));
+        return 0;
+    }
+
+    if (results.length === 0) {
+        console.log(`No commands match "${term}"`);
+        return 0;
+    }
+
+    const serviceWidth = Math.max(...results.map(result => result.service.length));
+    const commandWidth = Math.max(...results.map(result => result.command.length));
+    results.forEach(result => console.log(ranked
+        ? `${result.service.padEnd(serviceWidth)}  ${result.command.padEnd(commandWidth)}  ${result.score.toFixed(2).padStart(6)}  ${result.fields.join(', ')}`
+        : `${result.service.padEnd(serviceWidth)}  ${result.command}`));
+
+    return 0;
+}
+
+/**
+ * Print the services recorded in index.json
+ */
+async function runListServices(args, values) {
+    const schemasPath = getSchemasPath(values);
+    const loader = Boto3ServiceJsonParser.createRuntimeLoader(schemasPath);
+    const index = await loader.loadServiceIndex();
+
+    if (!index) {
+        throw new Error(`No index.json in ${schemasPath} - run "aws-schemas extract" first`);
+    }
+
+    const filter = createFilter(values);
+    const entries = Object.entries(index.services)
+        .filter(([serviceName]) => filter.matchesService(serviceName))
+        .map(([serviceName, serviceInfo]) => ({
+            service: serviceName,
+            apiVersion: serviceInfo.apiVersion || null,
+            commandCount: serviceInfo.commandCount
+        }));
+
+    if (values.format === 'json') {
+        console.log(JSON.stringify(entries, null, 2));
+        return 0;
+    }
+
+    const serviceWidth = Math.max(0, ...entries.map(entry => entry.service.length));
+    entries.forEach(entry => {
+        console.log(`${entry.service.padEnd(serviceWidth)}  ${(entry.apiVersion || '').padEnd(10)}  ${entry.commandCount} commands`);
+    });
+
+    return 0;
+}
+
+// CLI usage
+async function main(argv) {
+    let parsed;
+
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        printHelp();
+        return 1;
+    }
+
+    const { values, positionals } = parsed;
+    const [commandName, ...args] = positionals;
+
+    if (!commandName || commandName === 'help') {
+        printHelp(args[0]);
+        return commandName || values.help ? 0 : 1;
+    }
+
+    const command = COMMANDS[commandName];
+    if (!command) {
+        console.error(`❌ Unknown command: ${commandName}\n`);
+        printHelp();
+        return 1;
+    }
+
+    if (values.help) {
+        printHelp(commandName);
+        return 0;
+    }
+
+    // Options other commands take are mistakes here (e.g. "validate --service s3"), not no-ops
+    const allowed = command.options.map(option => (option === 'extractInput' ? 'input' : option));
+    const unsupported = Object.keys(values)
+        .filter(option => !allowed.includes(option) && values[option] !== OPTIONS[option].default);
+    if (unsupported.length > 0) {
+        console.error(`❌ ${commandName} does not take ${unsupported.map(option => `--${option}`).join(', ')}\n`);
+        printHelp(commandName);
+        return 1;
+    }
+
+    if (!['text', 'json'].includes(values.format)) {
+        console.error(`❌ Unknown format: ${values.format} (expected text or json)`);
+        return 1;
+    }
+
+    try {
+        return await command.run(args, values);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (error.code === 'USAGE') {
+            console.error('');
+            printHelp(commandName);
+        }
+        return 1;
+    }
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+    process.exitCode = exitCode;
+});
@@ -0,0 +1,235 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SchemaDiff } from './schema-diff.js';
+
+// Semver bump implied by the most severe change level
+const BUMP_BY_LEVEL = {
+    breaking: 'major',
+    additive: 'minor',
+    cosmetic: 'patch'
+};
+
+class ChangeClassifier {
+    /**
+     * Classify a SchemaDiff result into breaking, additive and cosmetic changes
+     */
+    classify(diff) {
+        const changes = {
+            breaking: [],
+            additive: [],
+            cosmetic: []
+        };
+        const add = (level, change) => changes[level].push(change);
+        
+        for (const service of diff.servicesRemoved) {
+            add('breaking', { service, kind: 'service-removed', description: `Service ${service} was removed` });
+        }
+        for (const service of diff.servicesAdded) {
+            add('additive', { service, kind: 'service-added', description: `Service ${service} was added` });
+        }
+        
+        for (const [service, serviceDiff] of Object.entries(diff.services)) {
+            for (const command of serviceDiff.commandsRemoved) {
+                add('breaking', { service, command, kind: 'command-removed', description: `${command} was removed` });
+            }
+            for (const command of serviceDiff.commandsAdded) {
+                add('additive', { service, command, kind: 'command-added', description: `${command} was added` });
+            }
+            
+            for (const [command, commandDiff] of Object.entries(serviceDiff.commandsChanged)) {
+                this.classifyCommand(commandDiff).forEach(({ level, ...change }) => {
+                    add(level, { service, command, ...change });
+                });
+            }
+        }
+        
+        const level = ['breaking', 'additive', 'cosmetic'].find(candidate => changes[candidate].length > 0) || 'none';
+        
+        return {
+            old: diff.old,
+            new: diff.new,
+            level,
+            bump: BUMP_BY_LEVEL[level] || 'none',
+            counts: {
+                breaking: changes.breaking.length,
+                additive: changes.additive.length,
+                cosmetic: changes.cosmetic.length
+            },
+            changes
+        };
+    }
+
+    /**
+     * Classify the parameter-level changes of one command
+     */
+    classifyCommand(commandDiff) {
+        const changes = [];
+        
+        for (const param of commandDiff.parametersAdded) {
+            changes.push(param.required
+                ? { level: 'breaking', path: param.path, kind: 'required-parameter-added', description: `New required parameter ${param.path}` }
+                : { level: 'additive', path: param.path, kind: 'parameter-added', description: `New optional parameter ${param.path}` });
+        }
+        for (const param of commandDiff.parametersRemoved) {
+            changes.push({ level: 'breaking', path: param.path, kind: 'parameter-removed', description: `Parameter ${param.path} was removed` });
+        }
+        for (const change of commandDiff.typeChanges) {
+            changes.push({
+                level: 'breaking',
+                path: change.path,
+                kind: 'type-changed',
+                description: `${change.path} changed type from ${change.from} to ${change.to}`
+            });
+        }
+        for (const change of commandDiff.requiredChanges) {
+            changes.push(change.to === 'required'
+                ? { level: 'breaking', path: change.path, kind: 'parameter-now-required', description: `${change.path} is now required` }
+                : { level: 'additive', path: change.path, kind: 'parameter-now-optional', description: `${change.path} is now optional` });
+        }
+        for (const change of commandDiff.enumChanges) {
+            if (change.removed.length > 0) {
+                changes.push({
+                    level: 'breaking',
+                    path: change.path,
+                    kind: 'enum-values-removed',
+                    description: `${change.path} no longer accepts ${change.removed.join(', ')}`
+                });
+            }
+            if (change.added.length > 0) {
+                changes.push({
+                    level: 'additive',
+                    path: change.path,
+                    kind: 'enum-values-added',
+                    description: `${change.path} now accepts ${change.added.join(', ')}`
+                });
+            }
+        }
+        if (commandDiff.documentationChanged) {
+            changes.push({ level: 'cosmetic', kind: 'documentation-changed', description: 'Command documentation updated' });
+        }
+        for (const change of commandDiff.documentationChanges) {
+            changes.push({
+                level: 'cosmetic',
+                path: change.path,
+                kind: 'documentation-changed',
+                description: `${change.path} documentation updated`
+            });
+        }
+        
+        return changes;
+    }
+
+    /**
+     * Apply a semver bump to a version string (prerelease and build suffixes are dropped)
+     */
+    nextVersion(version, bump) {
+        const match = /^(\d+)\.(\d+)\.(\d+)/.exec(version || '');
+        if (!match) {
+            throw new Error(`Not a semver version: ${version}`);
+        }
+        
+        const [major, minor, patch] = match.slice(1).map(Number);
+        
+        switch (bump) {
+            case 'major':
+                return `${major + 1}.0.0`;
+            case 'minor':
+                return `${major}.${minor + 1}.0`;
+            case 'patch':
+                return `${major}.${minor}.${patch + 1}`;
+            default:
+                return `${major}.${minor}.${patch}`;
+        }
+    }
+
+    /**
+     * Render a classification as a Markdown section for release notes
+     */
+    toMarkdown(report, versions = {}) {
+        const lines = [
+            '## 🔎 Compatibility',
+            '',
+            `**Recommended version bump:** ${report.bump}` +
+                (versions.from && versions.to && versions.from !== versions.to ? ` (${versions.from} → ${versions.to})` : ''),
+            '',
+            `- 💥 Breaking: ${report.counts.breaking}`,
+            `- ➕ Additive: ${report.counts.additive}`,
+            `- 📝 Cosmetic: ${report.counts.cosmetic}`,
+            ''
+        ];
+        
+        const sections = [
+            ['breaking', '### 💥 Breaking Changes'],
+            ['additive', '### ➕ Additive Changes'],
+            ['cosmetic', '### 📝 Cosmetic Changes']
+        ];
+        
+        for (const [level, heading] of sections) {
+            if (report.changes[level].length === 0) continue;
+            
+            lines.push(heading, '');
+            for (const change of report.changes[level]) {
+                const location = change.command ? `${change.service}/${change.command}` : change.service;
+                lines.push(`- \`${location}\`: ${change.description}`);
+            }
+            lines.push('');
+        }
+        
+        return lines.join('\n');
+    }
+}
+
+// Export for use in other modules
+export { ChangeClassifier };
+
+// CLI usage
+async function main() {
+    const [oldPath, newPath] = process.argv.slice(2);
+    const outputPath = process.env.CHANGES_OUTPUT_PATH || './schema-changes';
+    const packagePath = process.env.PACKAGE_JSON_PATH || './package.json';
+
+    if (!oldPath || !newPath) {
+        console.error('Usage: node src/change-classifier.js <old-snapshot> <new-snapshot>');
+        console.error('Each snapshot is an aws-schemas directory or a botocore data directory.');
+        process.exit(1);
+    }
+
+    console.log('🔎 Classifying schema changes...\n');
+    console.log(`📁 Old: ${oldPath}`);
+    console.log(`📁 New: ${newPath}\n`);
+
+    const diff = await new SchemaDiff().compare(oldPath, newPath);
+    const classifier = new ChangeClassifier();
+    const report = classifier.classify(diff);
+
+    const packageText = await fs.readFile(packagePath, 'utf8');
+    const packageJson = JSON.parse(packageText);
+    const versions = { from: packageJson.version, to: classifier.nextVersion(packageJson.version, report.bump) };
+
+    await fs.writeFile(`${outputPath}.json`, JSON.stringify({ ...report, versions }, null, 2), 'utf8');
+    await fs.writeFile(`${outputPath}.md`, classifier.toMarkdown(report, versions), 'utf8');
+
+    console.log('\n📊 COMPATIBILITY SUMMARY:');
+    console.log(`💥 Breaking: ${report.counts.breaking}`);
+    console.log(`➕ Additive: ${report.counts.additive}`);
+    console.log(`📝 Cosmetic: ${report.counts.cosmetic}`);
+    console.log(`🏷️  Recommended bump: ${report.bump} (${versions.from} → ${versions.to})`);
+
+    if (process.env.UPDATE_PACKAGE_VERSION === 'true' && versions.to !== versions.from) {
+        // Only touch the version field so the rest of the file keeps its formatting
+        const updatedText = packageText.replace(/("version"\s*:\s*")[^"]*(")/, `$1${versions.to}$2`);
+        await fs.writeFile(packagePath, updatedText, 'utf8');
+        console.log(`✅ Updated ${packagePath} to ${versions.to}`);
+    }
+
+    console.log(`\n📄 Reports: ${outputPath}.md, ${outputPath}.json`);
+}
+
+// Run if called directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch(error => {
+        console.error('❌ Change classification failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -1,57 +1,438 @@
+import crypto from 'crypto';
+import { execFile } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { ExtractionFilter } from './filter.js';
+import { OutputLayout } from './output-layout.js';
+import { SchemaLoader } from './schema-loader.js';
+import { SearchIndex } from './search-index.js';
+
+// Logger used when logging is turned off (logger: null)
+const SILENT_LOGGER = {
+    log() {},
+    error() {}
+};
+
+// JSON.stringify replacer that writes object keys in sorted order (code unit order, independent of locale)
+const sortKeys = (key, value) => (value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.entries(value).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)))
+    : value);
+
+// botocore files of an API version that affect the extracted schemas (hashed into _manifest.json)
+const SERVICE_FILES = ['service-2.json', 'paginators-1.json', 'waiters-2.json', 'examples-1.json'];
+
+/**
+ * Run an async worker over items with at most `limit` running at once (results keep the input order)
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    
+    await Promise.all(runners);
+    return results;
+}
 
 class Boto3ServiceJsonParser {
-    constructor(botocoreDataPath) {
+    constructor(botocoreDataPath, options = {}) {
         this.botocoreDataPath = botocoreDataPath; // Path to cloned botocore/botocore/data
-        this.schemas = {};
+        this.options = {
+            jsonSchema: false, // Also write <Command>.schema.json (JSON Schema draft 2020-12)
+            allApiVersions: false, // Also extract older API versions into <service>/<apiVersion>/
+            outputPath: 'aws-schemas', // Directory the organized schemas are written to
+            services: null, // Only extract these service names (null for every service)
+            filters: null, // Include/exclude patterns such as 'ec2:Describe*' or '!ec2:*Ipam*'
+            concurrency: 8, // Services parsed and written at the same time
+            incremental: false, // Skip services whose botocore files match the previous run's _manifest.json (the CLI turns it on)
+            reproducible: false, // Sorted keys and commands, and one source-derived timestamp in index.json only
+            layout: 'files', // How commands are written: files, bundle or ndjson (see OutputLayout)
+            gzip: false, // Gzip bundles or the NDJSON stream
+            searchIndex: true, // Write search-index.json for ranked search across names, parameters and docs
+            ...options
+        };
+        if (!Number.isInteger(this.options.concurrency) || this.options.concurrency < 1) {
+            throw new Error(`concurrency must be a positive integer (got ${this.options.concurrency})`);
+        }
+        this.logger = options.logger === null ? SILENT_LOGGER : (options.logger || console); // Needs log() and error()
+        this.filter = new ExtractionFilter(this.options.filters || [], this.options.services || []); // Filters narrow the services
+        this.layout = new OutputLayout({ format: this.options.layout, compression: this.options.gzip ? 'gzip' : null });
+        this.schemas = {}; // Command schemas by service name, then command name
+        this.waiters = {}; // Waiter definitions by service name
+        this.apiVersions = {}; // Extracted API versions by service name (latest first)
+        this.olderVersions = {}; // { schemas, waiters } by service name, then older API version
         this.errors = [];
         this.stats = {
             totalServices: 0,
             totalOperations: 0,
             successfulExtractions: 0,
-            failedExtractions: 0
+            failedExtractions: 0,
+            paginatedOperations: 0,
+            totalWaiters: 0,
+            totalApiVersions: 0,
+            filteredServices: 0,
+            filteredOperations: 0
         };
+        this.timings = {}; // Milliseconds spent in each extraction phase (kept out of stats so output stays reproducible)
+        this.serviceStats = {}; // Per-service share of stats, kept in the manifest for services that are skipped next time
+        this.manifest = null; // { fingerprint, services } written to _manifest.json (only when an output path is set)
+        this.previousManifest = null;
+        this.unchangedServices = []; // Services skipped because their botocore files did not change
+        this.sourceRevision = null; // { commit, date } of the botocore data in reproducible mode
+        this.searchIndexFile = `search-index.json${this.layout.extension}`; // Gzipped along with the layout
+        this.searchDocuments = 0; // Commands in the written search index
     }
 
     /**
      * Parse all service-2.json files from botocore data directory
      */
     async parseAllServiceJsonFiles() {
-        console.log('🚀 Starting Boto3 service-2.json Parser...\n');
-        console.log(`📁 Reading from: ${this.botocoreDataPath}\n`);
+        this.logger.log('🚀 Starting Boto3 service-2.json Parser...\n');
+        this.logger.log(`📁 Reading from: ${this.botocoreDataPath}\n`);
 
         try {
-            // Step 1: Find all services and their latest versions
-            const services = await this.findAllServices();
+            const startedAt = performance.now();
             
-            // Step 2: Parse each service's service-2.json file
-            for (const serviceInfo of services) {
-                await this.parseServiceJson(serviceInfo);
-            }
+            // Step 1 and 2: Find all services and parse their service-2.json files
+            await this.parseServices();
             
             // Step 3: Save results
             await this.saveResults();
             
-            console.log('✅ Boto3 service-2.json parsing complete!');
+            this.timings.totalMs = Math.round(performance.now() - startedAt);
+            
+            this.logger.log('✅ Boto3 service-2.json parsing complete!');
             this.printSummary();
             
         } catch (error) {
-            console.error('❌ Parsing failed:', error.message);
+            this.logger.error('❌ Parsing failed:', error.message);
             throw error;
         }
     }
 
+    /**
+     * Find all services and parse their service-2.json files, keeping the results in memory
+     */
+    async parseServices() {
+        let startedAt = performance.now();
+        const services = await this.findAllServices();
+        
+        // Hash the botocore files when writing output, so unchanged services can be skipped
+        const servicesToParse = this.options.outputPath ? await this.skipUnchangedServices(services) : services;
+        this.timings.discoveryMs = Math.round(performance.now() - startedAt);
+        
+        if (this.options.reproducible) {
+            this.sourceRevision = await this.resolveSourceRevision();
+        }
+        
+        startedAt = performance.now();
+        await this.runConcurrently(servicesToParse, (parser, serviceInfo) => parser.parseServiceJson(serviceInfo));
+        
+        // Skipped services keep the stats and errors of the run that parsed them
+        for (const serviceName of this.unchangedServices) {
+            const manifestEntry = this.manifest.services[serviceName];
+            for (const [key, amount] of Object.entries(manifestEntry.stats)) {
+                this.stats[key] += amount;
+            }
+            this.errors.push(...manifestEntry.errors);
+        }
+        
+        this.orderResults(services);
+        this.timings.parseMs = Math.round(performance.now() - startedAt);
+    }
+
+    /**
+     * Build this run's manifest and return the services that need parsing. With the incremental
+     * option, services whose files hash the same as in the previous manifest (and whose folder
+     * still exists) are left out.
+     */
+    async skipUnchangedServices(services) {
+        this.previousManifest = await this.loadManifest();
+        const fingerprint = await this.getManifestFingerprint();
+        // Skipped services are copied from the previous NDJSON stream and search index, so they have to be there
+        const carriedFiles = [
+            this.layout.format === 'ndjson' ? this.layout.streamFile : null,
+            this.options.searchIndex ? this.searchIndexFile : null
+        ].filter(Boolean);
+        const carriedFilesExist = (await Promise.all(carriedFiles.map(file =>
+            fs.access(path.join(this.options.outputPath, file)).then(() => true, () => false)))).every(Boolean);
+        const reusable = this.options.incremental && carriedFilesExist && this.previousManifest && this.previousManifest.fingerprint === fingerprint
+            ? this.previousManifest.services
+            : {};
+        
+        const serviceNames = Object.keys(this.apiVersions);
+        const fileHashes = await mapWithConcurrency(serviceNames, this.options.concurrency, serviceName =>
+            this.hashServiceFiles(services.filter(serviceInfo => serviceInfo.name === serviceName)));
+        
+        this.manifest = { fingerprint, services: {} };
+        
+        for (const [i, serviceName] of serviceNames.entries()) {
+            const previousEntry = reusable[serviceName];
+            const unchanged = previousEntry &&
+                JSON.stringify(previousEntry.files) === JSON.stringify(fileHashes[i]) &&
+                await fs.access(path.join(this.options.outputPath, serviceName)).then(() => true, () => false);
+            
+            if (unchanged) {
+                this.manifest.services[serviceName] = previousEntry;
+                this.unchangedServices.push(serviceName);
+            } else {
+                this.manifest.services[serviceName] = { files: fileHashes[i] };
+            }
+        }
+        
+        if (this.unchangedServices.length > 0) {
+            this.logger.log(`♻️  Unchanged since the last run: ${this.unchangedServices.length} services (skipped)\n`);
+        }
+        
+        return services.filter(serviceInfo => !this.unchangedServices.includes(serviceInfo.name));
+    }
+
+    /**
+     * sha256 of every botocore file the given API versions of a service are extracted from
+     */
+    async hashServiceFiles(serviceInfos) {
+        const hashes = {};
+        
+        for (const serviceInfo of serviceInfos) {
+            for (const fileName of SERVICE_FILES) {
+                try {
+                    const content = await fs.readFile(path.join(serviceInfo.path, serviceInfo.version, fileName));
+                    hashes[`${serviceInfo.version}/${fileName}`] = crypto.createHash('sha256').update(content).digest('hex');
+                } catch (error) {
+                    // Optional companion files are simply absent
+                }
+            }
+        }
+        
+        // Sorted so the comparison with the previous manifest does not depend on key order
+        return Object.fromEntries(Object.entries(hashes).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+    }
+
+    /**
+     * Hash of everything besides the botocore files that shapes the output: the extractor
+     * and search index source and the extraction options. A different fingerprint means a full run.
+     */
+    async getManifestFingerprint() {
+        const extractorSource = await fs.readFile(fileURLToPath(import.meta.url), 'utf8');
+        const searchIndexSource = await fs.readFile(fileURLToPath(new URL('./search-index.js', import.meta.url)), 'utf8');
+        
+        return crypto.createHash('sha256').update(JSON.stringify({
+            extractor: extractorSource,
+            searchIndex: this.options.searchIndex ? searchIndexSource : false,
+            jsonSchema: this.options.jsonSchema,
+            allApiVersions: this.options.allApiVersions,
+            reproducible: this.options.reproducible,
+            layout: this.layout.toJSON(),
+            filter: this.filter.toJSON()
+        })).digest('hex');
+    }
+
+    /**
+     * Read the manifest of the previous run from the output directory (null if there is none)
+     */
+    async loadManifest() {
+        try {
+            const content = await fs.readFile(path.join(this.options.outputPath, '_manifest.json'), 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Add to an overall counter and to the service's own share of it
+     */
+    countStat(serviceName, key, amount = 1) {
+        this.stats[key] += amount;
+        
+        if (!this.serviceStats[serviceName]) {
+            this.serviceStats[serviceName] = {};
+        }
+        this.serviceStats[serviceName][key] = (this.serviceStats[serviceName][key] || 0) + amount;
+    }
+
+    /**
+     * Run a worker for each item, this.options.concurrency at a time. Each worker gets a view
+     * of this parser that buffers its log lines, so concurrent services don't interleave output.
+     */
+    async runConcurrently(items, worker) {
+        return mapWithConcurrency(items, this.options.concurrency, async item => {
+            const lines = [];
+            const parser = Object.create(this); // Shares every piece of state except the logger
+            parser.logger = {
+                log: (...args) => lines.push(['log', args]),
+                error: (...args) => lines.push(['error', args])
+            };
+            
+            try {
+                return await worker(parser, item);
+            } finally {
+                lines.forEach(([level, args]) => this.logger[level](...args));
+            }
+        });
+    }
+
+    /**
+     * Put parsed results back in discovery order, whatever order the services finished in
+     */
+    orderResults(services) {
+        const serviceNames = [...new Set(services.map(serviceInfo => serviceInfo.name))];
+        const pick = source => Object.fromEntries(
+            serviceNames.filter(serviceName => source[serviceName]).map(serviceName => [serviceName, source[serviceName]])
+        );
+        
+        this.schemas = pick(this.schemas);
+        this.waiters = pick(this.waiters);
+        this.olderVersions = pick(this.olderVersions);
+        for (const serviceName of Object.keys(this.olderVersions)) {
+            const versions = this.olderVersions[serviceName];
+            this.olderVersions[serviceName] = Object.fromEntries(
+                this.apiVersions[serviceName].filter(apiVersion => versions[apiVersion]).map(apiVersion => [apiVersion, versions[apiVersion]])
+            );
+        }
+        
+        // Reproducible output lists commands alphabetically rather than in botocore order
+        if (this.options.reproducible) {
+            const sortCommands = serviceSchemas => Object.fromEntries(
+                Object.keys(serviceSchemas).sort().map(commandName => [commandName, serviceSchemas[commandName]])
+            );
+            for (const serviceName of Object.keys(this.schemas)) {
+                this.schemas[serviceName] = sortCommands(this.schemas[serviceName]);
+            }
+            for (const versions of Object.values(this.olderVersions)) {
+                for (const versionTarget of Object.values(versions)) {
+                    versionTarget.schemas = sortCommands(versionTarget.schemas);
+                }
+            }
+        }
+        
+        // Errors of one API version are recorded in order, so a stable sort by version is enough
+        const position = error => services.findIndex(serviceInfo =>
+            serviceInfo.name === error.service && serviceInfo.version === error.apiVersion);
+        this.errors.sort((a, b) => position(a) - position(b));
+    }
+
+    /**
+     * In-memory results: command schemas shaped like the written command files
+     */
+    getResults() {
+        const buildCommands = serviceSchemas => Object.fromEntries(
+            Object.entries(serviceSchemas).map(([commandName, schema]) => [commandName, this.buildCommandFile(commandName, schema)])
+        );
+        
+        const olderVersions = {};
+        for (const [serviceName, versions] of Object.entries(this.olderVersions)) {
+            olderVersions[serviceName] = {};
+            for (const [apiVersion, versionTarget] of Object.entries(versions)) {
+                olderVersions[serviceName][apiVersion] = {
+                    schemas: buildCommands(versionTarget.schemas),
+                    waiters: versionTarget.waiters
+                };
+            }
+        }
+        
+        // JSON Schemas are separate files on disk, so they are returned separately too
+        const jsonSchemas = {};
+        if (this.options.jsonSchema) {
+            for (const [serviceName, serviceSchemas] of Object.entries(this.schemas)) {
+                jsonSchemas[serviceName] = Object.fromEntries(
+                    Object.entries(serviceSchemas).map(([commandName, schema]) => [commandName, schema.jsonSchema])
+                );
+            }
+        }
+        
+        return {
+            schemas: Object.fromEntries(
+                Object.entries(this.schemas).map(([serviceName, serviceSchemas]) => [serviceName, buildCommands(serviceSchemas)])
+            ),
+            jsonSchemas,
+            waiters: this.waiters,
+            apiVersions: this.apiVersions,
+            olderVersions,
+            errors: this.errors,
+            stats: this.stats,
+            timings: this.timings,
+            unchangedServices: this.unchangedServices
+        };
+    }
+
+    /**
+     * Add the services an incremental run skipped to in-memory results, read back from the output
+     * (they did not change, so the output holds what parsing them again would return)
+     */
+    async addUnchangedResults(results) {
+        const loader = new SchemaLoader(this.options.outputPath);
+        const layout = await loader.getLayout();
+        
+        const readVersion = async (serviceName, apiVersion, withJsonSchemas = false) => {
+            const schemas = {};
+            const jsonSchemas = {};
+            for (const commandName of await loader.getServiceCommands(serviceName, apiVersion)) {
+                schemas[commandName] = await loader.readCommand(commandName, serviceName, apiVersion);
+                if (withJsonSchemas) {
+                    jsonSchemas[commandName] = await loader.getJsonSchema(commandName, serviceName, apiVersion);
+                }
+            }
+            
+            // Waiters are part of the bundle, or a _waiters.json next to the service summary
+            let waitersFile = null;
+            if (layout.format === 'bundle') {
+                waitersFile = (await loader.loadBundle(serviceName, apiVersion, layout)).waiters;
+            } else {
+                const serviceDir = await loader.getServiceDir(serviceName, apiVersion);
+                waitersFile = await OutputLayout.readJson(path.join(serviceDir, '_waiters.json')).catch(() => null);
+            }
+            
+            return { schemas, jsonSchemas, waiters: waitersFile ? waitersFile.waiters : undefined };
+        };
+        
+        for (const serviceName of this.unchangedServices) {
+            const [latestVersion, ...olderVersions] = await loader.getApiVersions(serviceName);
+            if (!latestVersion) continue;
+            
+            const latest = await readVersion(serviceName, latestVersion, this.options.jsonSchema);
+            results.schemas[serviceName] = latest.schemas;
+            if (latest.waiters) {
+                results.waiters[serviceName] = latest.waiters;
+            }
+            if (this.options.jsonSchema) {
+                results.jsonSchemas[serviceName] = latest.jsonSchemas;
+            }
+            
+            for (const apiVersion of olderVersions) {
+                const { schemas, waiters } = await readVersion(serviceName, apiVersion);
+                results.olderVersions[serviceName] = results.olderVersions[serviceName] || {};
+                results.olderVersions[serviceName][apiVersion] = { schemas, waiters };
+            }
+        }
+        
+        // Back in discovery order, like parsed services
+        for (const key of ['schemas', 'waiters', 'olderVersions', 'jsonSchemas']) {
+            results[key] = Object.fromEntries(Object.keys(this.apiVersions)
+                .filter(serviceName => results[key][serviceName])
+                .map(serviceName => [serviceName, results[key][serviceName]]));
+        }
+        
+        return results;
+    }
+
     /**
      * Find all services and get their latest API versions
      */
     async findAllServices() {
-        console.log('🔍 Discovering services and API versions...');
+        this.logger.log('🔍 Discovering services and API versions...');
         
         const services = [];
         
         try {
-            const serviceDirectories = await fs.readdir(this.botocoreDataPath);
+            const serviceDirectories = (await fs.readdir(this.botocoreDataPath)).sort();
             
             for (const serviceName of serviceDirectories) {
                 const servicePath = path.join(this.botocoreDataPath, serviceName);
@@ -60,20 +441,32 @@ class Boto3ServiceJsonParser {
                     const stat = await fs.stat(servicePath);
                     if (!stat.isDirectory()) continue;
                     
-                    // Get latest API version for this service
-                    const latestVersion = await this.getLatestApiVersion(servicePath);
+                    // Skip filtered-out services before reading any of their files
+                    if (!this.filter.matchesService(serviceName)) {
+                        this.stats.filteredServices++;
+                        continue;
+                    }
+                    
+                    // Get latest API version (or every API version) for this service
+                    const allVersions = await this.getApiVersions(servicePath);
+                    const versions = this.options.allApiVersions ? allVersions : allVersions.slice(0, 1);
                     
-                    if (latestVersion) {
-                        services.push({
-                            name: serviceName,
-                            version: latestVersion,
-                            path: servicePath
-                        });
-                        console.log(`   ✅ Found: ${serviceName} (${latestVersion})`);
+                    if (versions.length > 0) {
+                        this.apiVersions[serviceName] = versions;
+                        
+                        for (const version of versions) {
+                            services.push({
+                                name: serviceName,
+                                version,
+                                latest: version === versions[0],
+                                path: servicePath
+                            });
+                        }
+                        this.logger.log(`   ✅ Found: ${serviceName} (${versions.join(', ')})`);
                     }
                     
                 } catch (error) {
-                    console.log(`   ⚠️ Skipped: ${serviceName} (${error.message})`);
+                    this.logger.log(`   ⚠️ Skipped: ${serviceName} (${error.message})`);
                 }
             }
             
@@ -81,8 +474,17 @@ class Boto3ServiceJsonParser {
             throw new Error(`Could not read botocore data directory: ${error.message}`);
         }
         
-        this.stats.totalServices = services.length;
-        console.log(`📊 Found ${services.length} services total\n`);
+        if (!this.filter.isEmpty()) {
+            const missing = this.filter.getLiteralServices().filter(serviceName => !this.apiVersions[serviceName]);
+            this.logger.log(`   🔎 Filter: ${this.filter.describe()} (${this.stats.filteredServices} services skipped)`);
+            if (missing.length > 0) {
+                this.logger.log(`   ⚠️ Requested services not found: ${missing.join(', ')}`);
+            }
+        }
+        
+        this.stats.totalServices = Object.keys(this.apiVersions).length;
+        this.stats.totalApiVersions = services.length;
+        this.logger.log(`📊 Found ${this.stats.totalServices} services total (${services.length} API versions)\n`);
         
         return services;
     }
@@ -91,27 +493,60 @@ class Boto3ServiceJsonParser {
      * Get the latest API version (YYYY-MM-DD) for a service
      */
     async getLatestApiVersion(servicePath) {
+        const apiVersions = await this.getApiVersions(servicePath);
+        return apiVersions[0] || null;
+    }
+
+    /**
+     * Get all API versions (YYYY-MM-DD) for a service, latest first
+     */
+    async getApiVersions(servicePath) {
         try {
             const versionDirectories = await fs.readdir(servicePath);
             
-            // Filter for YYYY-MM-DD format and get the latest
-            const apiVersions = versionDirectories
+            // Filter for YYYY-MM-DD format
+            return versionDirectories
                 .filter(dir => /^\d{4}-\d{2}-\d{2}$/.test(dir))
                 .sort()
                 .reverse(); // Latest first
             
-            return apiVersions[0] || null;
-            
         } catch (error) {
-            return null;
+            return [];
+        }
+    }
+
+    /**
+     * Get the schema/waiter containers an API version is stored in.
+     * The latest version lives in this.schemas/this.waiters, older ones in this.olderVersions.
+     */
+    getVersionTarget(serviceInfo) {
+        if (serviceInfo.latest !== false) {
+            if (!this.schemas[serviceInfo.name]) {
+                this.schemas[serviceInfo.name] = {};
+            }
+            return {
+                schemas: this.schemas[serviceInfo.name],
+                setWaiters: waiters => { this.waiters[serviceInfo.name] = waiters; }
+            };
         }
+        
+        if (!this.olderVersions[serviceInfo.name]) {
+            this.olderVersions[serviceInfo.name] = {};
+        }
+        const versionTarget = { schemas: {}, waiters: null };
+        this.olderVersions[serviceInfo.name][serviceInfo.version] = versionTarget;
+        
+        return {
+            schemas: versionTarget.schemas,
+            setWaiters: waiters => { versionTarget.waiters = waiters; }
+        };
     }
 
     /**
      * Parse service-2.json file for a specific service
      */
     async parseServiceJson(serviceInfo) {
-        console.log(`🔧 Parsing: ${serviceInfo.name} (${serviceInfo.version})`);
+        this.logger.log(`🔧 Parsing: ${serviceInfo.name} (${serviceInfo.version})`);
         
         const serviceJsonPath = path.join(serviceInfo.path, serviceInfo.version, 'service-2.json');
         
@@ -120,18 +555,40 @@ class Boto3ServiceJsonParser {
             const serviceJsonContent = await fs.readFile(serviceJsonPath, 'utf8');
             const serviceModel = JSON.parse(serviceJsonContent);
             
-            console.log(`   📋 Service: ${serviceModel.metadata?.serviceFullName || serviceInfo.name}`);
-            console.log(`   🔗 Protocol: ${serviceModel.metadata?.protocol || 'unknown'}`);
+            this.logger.log(`   📋 Service: ${serviceModel.metadata?.serviceFullName || serviceInfo.name}`);
+            this.logger.log(`   🔗 Protocol: ${serviceModel.metadata?.protocol || 'unknown'}`);
+            
+            // Optional companion files shipped next to service-2.json
+            const paginatorsJson = await this.readServiceFile(serviceInfo, 'paginators-1.json');
+            const paginators = (paginatorsJson && paginatorsJson.pagination) || {};
+            const waitersJson = await this.readServiceFile(serviceInfo, 'waiters-2.json');
+            const waiterDefs = Object.entries((waitersJson && waitersJson.waiters) || {})
+                .filter(([, waiterDef]) => this.filter.matchesOperation(serviceInfo.name, waiterDef.operation));
+            const waiters = this.parseWaiters(Object.fromEntries(waiterDefs));
+            this.countStat(serviceInfo.name, 'totalWaiters', Object.keys(waiters).length);
+            
+            const target = this.getVersionTarget(serviceInfo);
+            if (Object.keys(waiters).length > 0) {
+                target.setWaiters(waiters);
+            }
+            const examplesJson = await this.readServiceFile(serviceInfo, 'examples-1.json');
+            const examples = (examplesJson && examplesJson.examples) || {};
             
             // Extract operations from the service model
             if (serviceModel.operations) {
-                const operationNames = Object.keys(serviceModel.operations);
-                console.log(`   ⚙️ Operations: ${operationNames.length}`);
+                // Filtered-out operations are never parsed
+                const allOperationNames = Object.keys(serviceModel.operations);
+                const operationNames = allOperationNames
+                    .filter(operationName => this.filter.matchesOperation(serviceInfo.name, operationName));
+                const filteredCount = allOperationNames.length - operationNames.length;
+                this.logger.log(`   ⚙️ Operations: ${operationNames.length}${filteredCount > 0 ? ` (${filteredCount} filtered out)` : ''}`);
                 
-                this.stats.totalOperations += operationNames.length;
+                this.countStat(serviceInfo.name, 'totalOperations', operationNames.length);
+                this.countStat(serviceInfo.name, 'filteredOperations', filteredCount);
                 
                 // Parse each operation
-                for (const [operationName, operationDef] of Object.entries(serviceModel.operations)) {
+                for (const operationName of operationNames) {
+                    const operationDef = serviceModel.operations[operationName];
                     try {
                         const commandSchema = await this.parseOperation(
                             serviceInfo.name,
@@ -141,35 +598,135 @@ class Boto3ServiceJsonParser {
                         );
                         
                         if (commandSchema) {
+                            if (this.options.jsonSchema) {
+                                commandSchema.jsonSchema = this.buildJsonSchema(
+                                    operationName,
+                                    operationDef,
+                                    serviceModel.shapes || {}
+                                );
+                            }
+                            
+                            commandSchema.pagination = this.parsePagination(paginators[operationName]);
+                            commandSchema.waiters = Object.keys(waiters)
+                                .filter(waiterName => waiters[waiterName].operation === operationName);
+                            commandSchema.examples = this.parseExamples(examples[operationName]);
+                            if (commandSchema.pagination.paginated) {
+                                this.countStat(serviceInfo.name, 'paginatedOperations');
+                            }
+                            
+                            commandSchema.apiVersion = serviceInfo.version;
+                            
                             const commandName = operationName + 'Command';
-                            this.schemas[commandName] = commandSchema;
-                            this.stats.successfulExtractions++;
+                            target.schemas[commandName] = commandSchema;
+                            this.countStat(serviceInfo.name, 'successfulExtractions');
                         }
                         
                     } catch (error) {
-                        console.log(`     ❌ Failed to parse ${operationName}: ${error.message}`);
+                        this.logger.log(`     ❌ Failed to parse ${operationName}: ${error.message}`);
                         this.errors.push({
                             service: serviceInfo.name,
+                            apiVersion: serviceInfo.version,
                             operation: operationName,
                             error: error.message
                         });
-                        this.stats.failedExtractions++;
+                        this.countStat(serviceInfo.name, 'failedExtractions');
                     }
                 }
                 
             } else {
-                console.log(`   ⚠️ No operations found in service model`);
+                this.logger.log(`   ⚠️ No operations found in service model`);
             }
             
         } catch (error) {
-            console.log(`   ❌ Failed to parse service JSON: ${error.message}`);
+            this.logger.log(`   ❌ Failed to parse service JSON: ${error.message}`);
             this.errors.push({
                 service: serviceInfo.name,
+                apiVersion: serviceInfo.version,
                 error: error.message
             });
         }
     }
 
+    /**
+     * Read an optional JSON file from a service's API version directory (null if absent)
+     */
+    async readServiceFile(serviceInfo, fileName) {
+        const filePath = path.join(serviceInfo.path, serviceInfo.version, fileName);
+        
+        try {
+            const content = await fs.readFile(filePath, 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.logger.log(`   ⚠️ Could not read ${fileName}: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Normalize a paginators-1.json entry (tokens and result keys always as arrays). Only entries
+     * with both an input and an output token can be paginated; the others keep their keys unpaginated.
+     */
+    parsePagination(paginator) {
+        if (!paginator) {
+            return { paginated: false };
+        }
+        
+        const toArray = value => (value === undefined ? [] : [].concat(value));
+        const inputToken = toArray(paginator.input_token);
+        const outputToken = toArray(paginator.output_token);
+        
+        return {
+            paginated: inputToken.length > 0 && outputToken.length > 0,
+            inputToken,
+            outputToken,
+            limitKey: paginator.limit_key || null,
+            resultKey: toArray(paginator.result_key),
+            moreResults: paginator.more_results || null,
+            nonAggregateKeys: toArray(paginator.non_aggregate_keys)
+        };
+    }
+
+    /**
+     * Parse waiters-2.json definitions for a service
+     */
+    parseWaiters(waiterDefs) {
+        const waiters = {};
+        
+        for (const [waiterName, waiterDef] of Object.entries(waiterDefs)) {
+            waiters[waiterName] = {
+                name: waiterName,
+                operation: waiterDef.operation,
+                command: waiterDef.operation + 'Command',
+                description: waiterDef.description || null,
+                delay: waiterDef.delay,
+                maxAttempts: waiterDef.maxAttempts,
+                acceptors: waiterDef.acceptors || []
+            };
+        }
+        
+        if (Object.keys(waiters).length > 0) {
+            this.logger.log(`   ⏳ Waiters: ${Object.keys(waiters).length}`);
+        }
+        
+        return waiters;
+    }
+
+    /**
+     * Parse AWS-authored examples-1.json entries for an operation
+     */
+    parseExamples(exampleDefs) {
+        return (exampleDefs || []).map(example => ({
+            id: example.id || null,
+            title: example.title || null,
+            description: this.cleanDocumentation(example.description),
+            input: example.input || {},
+            output: example.output || {},
+            comments: example.comments || {}
+        }));
+    }
+
     /**
      * Parse an individual operation to extract parameters
      */
@@ -178,6 +735,15 @@ class Boto3ServiceJsonParser {
         const required = [];
         const optional = [];
         
+        // Response structure (same type mapping and nesting as parameters)
+        const output = this.parseOutput(operationName, operationDef, shapes);
+        
+        // Modeled error shapes this operation can raise
+        const errors = this.parseErrors(operationDef, shapes);
+        
+        // HTTP binding (method, URI template, response code)
+        const http = this.parseHttpBinding(operationDef);
+        
         // Check if operation has input shape
         if (!operationDef.input || !operationDef.input.shape) {
             // No input parameters for this operation
@@ -186,7 +752,11 @@ class Boto3ServiceJsonParser {
                 operation: operationName,
                 parameters: {},
                 requiredParameters: [],
-                optionalParameters: []
+                optionalParameters: [],
+                http,
+                output,
+                errors,
+                documentation: operationDef.documentation
             };
         }
         
@@ -197,34 +767,33 @@ class Boto3ServiceJsonParser {
             throw new Error(`Input shape '${inputShapeName}' not found in shapes`);
         }
         
-        console.log(`     📝 ${operationName}: Analyzing input shape '${inputShapeName}'`);
+        this.logger.log(`     📝 ${operationName}: Analyzing input shape '${inputShapeName}'`);
         
         // Parse shape members (parameters)
         if (inputShape.members) {
             for (const [paramName, paramDef] of Object.entries(inputShape.members)) {
                 try {
-                    const paramInfo = this.parseParameter(paramName, paramDef, shapes);
-                    
                     // Check if parameter is required
-                    const isRequired = inputShape.required && inputShape.required.includes(paramName);
+                    const isRequired = Boolean(inputShape.required && inputShape.required.includes(paramName));
                     
-                    parameters[paramName] = {
-                        name: paramName,
-                        type: paramInfo.type,
-                        required: isRequired,
-                        documentation: paramInfo.documentation
+                    // Members without an explicit location travel in the request body (or are the payload)
+                    const memberDef = {
+                        location: inputShape.payload === paramName ? 'payload' : 'body',
+                        ...paramDef
                     };
                     
+                    parameters[paramName] = this.parseParameter(paramName, memberDef, shapes, isRequired, [inputShapeName]);
+                    
                     if (isRequired) {
                         required.push(paramName);
                     } else {
                         optional.push(paramName);
                     }
                     
-                    console.log(`       ${isRequired ? '✓' : '○'} ${paramName}: ${paramInfo.type} ${isRequired ? '[REQUIRED]' : '[OPTIONAL]'}`);
+                    this.logger.log(`       ${isRequired ? '✓' : '○'} ${paramName}: ${parameters[paramName].type} ${isRequired ? '[REQUIRED]' : '[OPTIONAL]'}`);
                     
                 } catch (error) {
-                    console.log(`       ⚠️ Could not parse parameter ${paramName}: ${error.message}`);
+                    this.logger.log(`       ⚠️ Could not parse parameter ${paramName}: ${error.message}`);
                 }
             }
         }
@@ -235,175 +804,822 @@ class Boto3ServiceJsonParser {
             parameters,
             requiredParameters: required,
             optionalParameters: optional,
+            inputShape: inputShapeName,
+            http,
+            output,
+            errors,
             documentation: operationDef.documentation
         };
     }
 
     /**
-     * Parse an individual parameter from shape definition
+     * Parse an operation's HTTP binding
      */
-    parseParameter(paramName, paramDef, shapes) {
-        let paramType = 'unknown';
-        let documentation = paramDef.documentation || '';
-        
-        if (paramDef.shape) {
-            const shape = shapes[paramDef.shape];
-            
-            if (shape) {
-                switch (shape.type) {
-                    case 'string':
-                        paramType = 'string';
-                        break;
-                    case 'integer':
-                    case 'long':
-                    case 'float':
-                    case 'double':
-                        paramType = 'number';
-                        break;
-                    case 'boolean':
-                        paramType = 'boolean';
-                        break;
-                    case 'timestamp':
-                        paramType = 'string'; // ISO date string
-                        break;
-                    case 'list':
-                        paramType = 'array';
-                        break;
-                    case 'map':
-                    case 'structure':
-                        paramType = 'object';
-                        break;
-                    case 'blob':
-                        paramType = 'string'; // Base64 encoded
-                        break;
-                    default:
-                        paramType = shape.type || 'unknown';
-                }
-                
-                // Use shape documentation if parameter doesn't have it
-                if (!documentation && shape.documentation) {
-                    documentation = shape.documentation;
-                }
-            }
-        }
+    parseHttpBinding(operationDef) {
+        const http = operationDef.http || {};
         
         return {
-            type: paramType,
-            documentation: this.cleanDocumentation(documentation)
+            method: http.method || 'POST',
+            requestUri: http.requestUri || '/',
+            responseCode: http.responseCode || 200
         };
     }
 
     /**
-     * Clean up AWS documentation (remove HTML tags, etc.)
-     */
-    cleanDocumentation(doc) {
-        if (!doc) return '';
-        
-        return doc
-            .replace(/<[^>]*>/g, '') // Remove HTML tags
-            .replace(/\s+/g, ' ')    // Normalize whitespace
-            .trim()
-            .substring(0, 200); // Limit length
-    }
-
-    /**
-     * Save extracted schemas organized by service folders
+     * Parse an operation's output shape into a response tree (null if no output)
      */
-    async saveResults() {
-        console.log('\n💾 Saving schemas organized by service...');
+    parseOutput(operationName, operationDef, shapes) {
+        if (!operationDef.output || !operationDef.output.shape) {
+            return null;
+        }
         
-        // Create main output directory
-        const outputDir = 'aws-schemas';
-        await this.ensureDirectory(outputDir);
+        const outputShapeName = operationDef.output.shape;
         
-        // Group schemas by service
-        const serviceGroups = {};
-        for (const [commandName, schema] of Object.entries(this.schemas)) {
-            const serviceName = schema.service;
-            if (!serviceGroups[serviceName]) {
-                serviceGroups[serviceName] = {};
-            }
-            serviceGroups[serviceName][commandName] = schema;
+        if (!shapes[outputShapeName]) {
+            throw new Error(`Output shape '${outputShapeName}' not found in shapes`);
         }
         
-        // Save each service to its own folder
-        for (const [serviceName, serviceSchemas] of Object.entries(serviceGroups)) {
-            await this.saveServiceSchemas(outputDir, serviceName, serviceSchemas);
-        }
+        this.logger.log(`     📤 ${operationName}: Analyzing output shape '${outputShapeName}'`);
         
-        // Create overall metadata and summary
-        await this.saveOverallMetadata(outputDir);
+        const output = this.resolveShape(outputShapeName, shapes);
+        
+        // Query protocol responses are wrapped in an extra element
+        if (operationDef.output.resultWrapper) {
+            output.resultWrapper = operationDef.output.resultWrapper;
+        }
         
-        console.log(`✅ All schemas saved to organized folders in: ${outputDir}/`);
+        return output;
     }
 
     /**
-     * Save schemas for a specific service
+     * Parse an individual parameter (structure member) into a parameter tree node
      */
-    async saveServiceSchemas(outputDir, serviceName, serviceSchemas) {
-        const serviceDir = path.join(outputDir, serviceName);
-        await this.ensureDirectory(serviceDir);
+    parseParameter(paramName, paramDef, shapes, isRequired = false, ancestors = []) {
+        let documentation = paramDef.documentation || '';
+        const shape = paramDef.shape ? shapes[paramDef.shape] : null;
         
-        const commandCount = Object.keys(serviceSchemas).length;
-        console.log(`   📁 ${serviceName}/ (${commandCount} commands)`);
+        // Use shape documentation if parameter doesn't have it
+        if (!documentation && shape && shape.documentation) {
+            documentation = shape.documentation;
+        }
         
-        // Save each command as a separate file
-        for (const [commandName, schema] of Object.entries(serviceSchemas)) {
-            const commandFile = path.join(serviceDir, `${commandName}.json`);
-            const commandData = {
-                command: commandName,
-                service: schema.service,
-                operation: schema.operation,
-                generatedAt: new Date().toISOString(),
-                parameters: schema.parameters,
-                requiredParameters: schema.requiredParameters,
-                optionalParameters: schema.optionalParameters,
-                documentation: schema.documentation || null,
-                parameterCount: Object.keys(schema.parameters).length,
-                summary: {
-                    required: schema.requiredParameters.map(p => 
-                        `${p} (${schema.parameters[p].type})`
-                    ),
-                    optional: schema.optionalParameters.map(p => 
-                        `${p} (${schema.parameters[p].type})`
-                    )
-                }
-            };
-            
-            await fs.writeFile(commandFile, JSON.stringify(commandData, null, 2), 'utf8');
-            console.log(`     ✓ ${commandName}.json`);
+        const { type, shape: shapeName, ...nested } = this.resolveShape(paramDef.shape, shapes, ancestors);
+        
+        const parameter = {
+            name: paramName,
+            type,
+            shape: shapeName,
+            required: isRequired,
+            documentation: this.cleanDocumentation(documentation)
+        };
+        
+        // HTTP binding: uri, querystring, header, headers, payload (or body)
+        if (paramDef.location) {
+            parameter.location = paramDef.location;
+        }
+        if (paramDef.locationName) {
+            parameter.locationName = paramDef.locationName;
         }
         
-        // Create service summary file
-        await this.createServiceSummary(serviceDir, serviceName, serviceSchemas);
+        return { ...parameter, ...nested };
     }
 
     /**
-     * Create summary file for a service
+     * Resolve a shape into a type node, recursing through structure members,
+     * list members and map keys/values. Shapes already on the current path are
+     * emitted as references instead of being expanded again.
      */
-    async createServiceSummary(serviceDir, serviceName, serviceSchemas) {
-        const serviceSummary = {
-            service: serviceName,
-            generatedAt: new Date().toISOString(),
-            totalCommands: Object.keys(serviceSchemas).length,
-            commands: {}
+    resolveShape(shapeName, shapes, ancestors = []) {
+        const shape = shapeName ? shapes[shapeName] : null;
+        
+        if (!shape) {
+            return { type: 'unknown', shape: shapeName || null };
+        }
+        
+        const node = {
+            type: this.mapShapeType(shape.type),
+            shape: shapeName
         };
         
-        // Add command summaries
-        for (const [commandName, schema] of Object.entries(serviceSchemas)) {
+        // Types the label does not tell apart from plain strings and numbers
+        if (['timestamp', 'blob', 'integer', 'long'].includes(shape.type)) {
+            node.format = shape.type;
+        }
+        
+        // Recursive shape (e.g. DynamoDB AttributeValue) - emit a reference
+        if (ancestors.includes(shapeName)) {
+            node.recursive = true;
+            node.ref = shapeName;
+            return node;
+        }
+        
+        const constraints = this.extractConstraints(shape);
+        if (constraints) {
+            node.constraints = constraints;
+        }
+        
+        const path = [...ancestors, shapeName];
+        
+        switch (shape.type) {
+            case 'structure': {
+                const requiredMembers = shape.required || [];
+                node.members = {};
+                node.requiredMembers = requiredMembers;
+                
+                // Unions (e.g. DynamoDB AttributeValue) take exactly one of their members
+                if (shape.union) {
+                    node.union = true;
+                }
+                
+                for (const [memberName, memberDef] of Object.entries(shape.members || {})) {
+                    node.members[memberName] = this.parseParameter(
+                        memberName,
+                        memberDef,
+                        shapes,
+                        requiredMembers.includes(memberName),
+                        path
+                    );
+                }
+                break;
+            }
+            case 'list':
+                node.items = this.resolveShape(shape.member && shape.member.shape, shapes, path);
+                break;
+            case 'map':
+                node.key = this.resolveShape(shape.key && shape.key.shape, shapes, path);
+                node.value = this.resolveShape(shape.value && shape.value.shape, shapes, path);
+                break;
+        }
+        
+        return node;
+    }
+
+    /**
+     * Extract value constraints (enum, min, max, pattern) from a shape.
+     * min/max keep botocore semantics: length for strings, value for numbers,
+     * item count for lists and entry count for maps.
+     */
+    extractConstraints(shape) {
+        const constraints = {};
+        
+        for (const key of ['enum', 'min', 'max', 'pattern']) {
+            if (shape[key] !== undefined) {
+                constraints[key] = shape[key];
+            }
+        }
+        
+        return Object.keys(constraints).length > 0 ? constraints : null;
+    }
+
+    /**
+     * Map a botocore shape type to a JSON-style type label
+     */
+    mapShapeType(shapeType) {
+        switch (shapeType) {
+            case 'string':
+                return 'string';
+            case 'integer':
+            case 'long':
+            case 'float':
+            case 'double':
+                return 'number';
+            case 'boolean':
+                return 'boolean';
+            case 'timestamp':
+                return 'string'; // ISO date string
+            case 'list':
+                return 'array';
+            case 'map':
+            case 'structure':
+                return 'object';
+            case 'blob':
+                return 'string'; // Base64 encoded
+            default:
+                return shapeType || 'unknown';
+        }
+    }
+
+    /**
+     * Parse an operation's modeled error shapes
+     */
+    parseErrors(operationDef, shapes) {
+        const errors = [];
+        
+        for (const errorRef of operationDef.errors || []) {
+            const errorShapeName = errorRef.shape;
+            const errorShape = shapes[errorShapeName];
+            
+            if (!errorShape) {
+                this.logger.log(`       ⚠️ Error shape '${errorShapeName}' not found in shapes`);
+                continue;
+            }
+            
+            const errorInfo = errorShape.error || {};
+            const httpStatusCode = errorInfo.httpStatusCode || null;
+            
+            // Server faults are flagged explicitly or implied by a 5xx status
+            const isServerFault = Boolean(errorShape.fault) ||
+                (!errorInfo.senderFault && httpStatusCode !== null && httpStatusCode >= 500);
+            
+            const { members = {} } = this.resolveShape(errorShapeName, shapes);
+            
+            errors.push({
+                shape: errorShapeName,
+                code: errorInfo.code || errorShapeName,
+                httpStatusCode,
+                senderFault: Boolean(errorInfo.senderFault),
+                fault: isServerFault ? 'server' : 'client',
+                documentation: this.cleanDocumentation(errorRef.documentation || errorShape.documentation),
+                members
+            });
+        }
+        
+        return errors;
+    }
+
+    /**
+     * Build a JSON Schema (draft 2020-12) for an operation's input.
+     * Every botocore shape reachable from the input is placed under $defs.
+     */
+    buildJsonSchema(operationName, operationDef, shapes) {
+        const jsonSchema = {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            title: `${operationName}Command`
+        };
+        
+        const description = this.cleanDocumentation(operationDef.documentation);
+        if (description) {
+            jsonSchema.description = description;
+        }
+        
+        const inputShapeName = operationDef.input && operationDef.input.shape;
+        
+        if (!inputShapeName) {
+            // No input parameters for this operation
+            jsonSchema.type = 'object';
+            jsonSchema.properties = {};
+            jsonSchema.additionalProperties = false;
+            return jsonSchema;
+        }
+        
+        const defs = {};
+        jsonSchema.$ref = this.addJsonSchemaDef(inputShapeName, shapes, defs);
+        jsonSchema.$defs = defs;
+        
+        return jsonSchema;
+    }
+
+    /**
+     * Add a shape (and every shape it references) to $defs, returning its $ref
+     */
+    addJsonSchemaDef(shapeName, shapes, defs) {
+        const ref = `#/$defs/${shapeName}`;
+        
+        // Already defined (or being defined further up a recursive shape)
+        if (shapeName in defs) {
+            return ref;
+        }
+        
+        const shape = shapes[shapeName];
+        if (!shape) {
+            defs[shapeName] = {};
+            return ref;
+        }
+        
+        // Reserve the slot first so recursive shapes terminate
+        defs[shapeName] = {};
+        defs[shapeName] = this.shapeToJsonSchema(shape, shapes, defs);
+        
+        return ref;
+    }
+
+    /**
+     * Convert a botocore shape definition to a JSON Schema fragment
+     */
+    shapeToJsonSchema(shape, shapes, defs) {
+        const fragment = {};
+        
+        switch (shape.type) {
+            case 'structure': {
+                fragment.type = 'object';
+                fragment.properties = {};
+                
+                for (const [memberName, memberDef] of Object.entries(shape.members || {})) {
+                    const property = { $ref: this.addJsonSchemaDef(memberDef.shape, shapes, defs) };
+                    const memberDoc = this.cleanDocumentation(memberDef.documentation);
+                    if (memberDoc) {
+                        property.description = memberDoc;
+                    }
+                    fragment.properties[memberName] = property;
+                }
+                
+                if (shape.required && shape.required.length > 0) {
+                    fragment.required = shape.required;
+                }
+                fragment.additionalProperties = false;
+                
+                // Tagged unions accept exactly one member
+                if (shape.union) {
+                    fragment.minProperties = 1;
+                    fragment.maxProperties = 1;
+                }
+                break;
+            }
+            case 'list':
+                fragment.type = 'array';
+                fragment.items = shape.member && shape.member.shape
+                    ? { $ref: this.addJsonSchemaDef(shape.member.shape, shapes, defs) }
+                    : {};
+                if (shape.min !== undefined) {
+                    fragment.minItems = shape.min;
+                }
+                if (shape.max !== undefined) {
+                    fragment.maxItems = shape.max;
+                }
+                break;
+            case 'map':
+                fragment.type = 'object';
+                if (shape.key && shape.key.shape) {
+                    fragment.propertyNames = { $ref: this.addJsonSchemaDef(shape.key.shape, shapes, defs) };
+                }
+                fragment.additionalProperties = shape.value && shape.value.shape
+                    ? { $ref: this.addJsonSchemaDef(shape.value.shape, shapes, defs) }
+                    : {};
+                if (shape.min !== undefined) {
+                    fragment.minProperties = shape.min;
+                }
+                if (shape.max !== undefined) {
+                    fragment.maxProperties = shape.max;
+                }
+                break;
+            case 'string':
+                fragment.type = 'string';
+                if (shape.enum) {
+                    fragment.enum = shape.enum;
+                }
+                if (shape.min !== undefined) {
+                    fragment.minLength = shape.min;
+                }
+                if (shape.max !== undefined) {
+                    fragment.maxLength = shape.max;
+                }
+                if (shape.pattern !== undefined) {
+                    fragment.pattern = shape.pattern;
+                }
+                break;
+            case 'integer':
+            case 'long':
+            case 'float':
+            case 'double':
+                fragment.type = ['integer', 'long'].includes(shape.type) ? 'integer' : 'number';
+                if (shape.min !== undefined) {
+                    fragment.minimum = shape.min;
+                }
+                if (shape.max !== undefined) {
+                    fragment.maximum = shape.max;
+                }
+                break;
+            case 'boolean':
+                fragment.type = 'boolean';
+                break;
+            case 'timestamp':
+                fragment.type = 'string';
+                fragment.format = 'date-time';
+                break;
+            case 'blob':
+                fragment.type = 'string';
+                fragment.contentEncoding = 'base64';
+                break;
+        }
+        
+        const description = this.cleanDocumentation(shape.documentation);
+        if (description) {
+            fragment.description = description;
+        }
+        
+        return fragment;
+    }
+
+    /**
+     * Clean up AWS documentation (remove HTML tags, etc.)
+     */
+    cleanDocumentation(doc) {
+        if (!doc) return '';
+        
+        return doc
+            .replace(/<[^>]*>/g, '') // Remove HTML tags
+            .replace(/\s+/g, ' ')    // Normalize whitespace
+            .trim()
+            .substring(0, 200); // Limit length
+    }
+
+    /**
+     * Save extracted schemas organized by service folders
+     */
+    async saveResults() {
+        this.logger.log('\n💾 Saving schemas organized by service...');
+        const startedAt = performance.now();
+        
+        // Create main output directory
+        const outputDir = this.options.outputPath;
+        await this.ensureDirectory(outputDir);
+        
+        // Each service goes to its own folder, older API versions to versioned subfolders of their service
+        const folders = Object.entries(this.schemas).map(([serviceName, serviceSchemas]) => ({
+            dir: path.join(outputDir, serviceName),
+            serviceName,
+            schemas: serviceSchemas,
+            waiters: this.waiters[serviceName]
+        }));
+        for (const [serviceName, versions] of Object.entries(this.olderVersions)) {
+            for (const [apiVersion, versionTarget] of Object.entries(versions)) {
+                folders.push({
+                    dir: path.join(outputDir, serviceName, apiVersion),
+                    serviceName,
+                    schemas: versionTarget.schemas,
+                    waiters: versionTarget.waiters
+                });
+            }
+        }
+        
+        if (this.manifest) {
+            await this.removeStaleOutput(outputDir);
+        }
+        
+        await this.runConcurrently(folders, (parser, folder) =>
+            parser.saveServiceSchemas(folder.dir, folder.serviceName, folder.schemas, folder.waiters));
+        
+        if (this.layout.format === 'ndjson') {
+            await this.saveCommandStream(outputDir);
+        }
+        
+        if (this.options.searchIndex) {
+            await this.saveSearchIndex(outputDir);
+        }
+        
+        // Create overall metadata and summary
+        await this.saveOverallMetadata(outputDir);
+        if (this.manifest) {
+            await this.saveManifest(outputDir);
+        }
+        this.timings.writeMs = Math.round(performance.now() - startedAt);
+        
+        this.logger.log(`✅ All schemas saved to organized folders in: ${outputDir}/`);
+    }
+
+    /**
+     * Delete the folders of services the previous manifest recorded that are re-written (so commands
+     * removed upstream don't linger) or no longer extracted. Folders it never recorded are left alone.
+     */
+    async removeStaleOutput(outputDir) {
+        const previousServices = Object.keys((this.previousManifest && this.previousManifest.services) || {});
+        
+        for (const serviceName of previousServices) {
+            // Never follow a manifest entry outside the output directory
+            if (this.unchangedServices.includes(serviceName) || serviceName !== path.basename(serviceName) || serviceName.startsWith('.')) {
+                continue;
+            }
+            
+            await fs.rm(path.join(outputDir, serviceName), { recursive: true, force: true });
+            if (!this.manifest.services[serviceName]) {
+                this.logger.log(`   🗑️  Removed ${serviceName}/ (no longer extracted)`);
+            }
+        }
+        
+        // A stream left behind by a run with another layout
+        if (this.previousManifest) {
+            for (const streamFile of ['commands.ndjson', 'commands.ndjson.gz']) {
+                if (this.layout.format !== 'ndjson' || streamFile !== this.layout.streamFile) {
+                    await fs.rm(path.join(outputDir, streamFile), { force: true });
+                }
+            }
+            
+            // Same for a search index that is turned off or gzipped differently now
+            for (const searchFile of ['search-index.json', 'search-index.json.gz']) {
+                if (!this.options.searchIndex || searchFile !== this.searchIndexFile) {
+                    await fs.rm(path.join(outputDir, searchFile), { force: true });
+                }
+            }
+        }
+    }
+
+    /**
+     * Save the content hashes, index entry, stats and errors of every service, used to skip
+     * unchanged services on the next run
+     */
+    async saveManifest(outputDir) {
+        for (const [serviceName, manifestEntry] of Object.entries(this.manifest.services)) {
+            if (this.unchangedServices.includes(serviceName)) continue;
+            
+            manifestEntry.index = this.buildServiceIndexEntry(serviceName);
+            manifestEntry.stats = this.serviceStats[serviceName] || {};
+            manifestEntry.errors = this.errors.filter(error => error.service === serviceName);
+        }
+        
+        const manifestFile = path.join(outputDir, '_manifest.json');
+        await fs.writeFile(manifestFile, this.toJson(this.manifest), 'utf8');
+        this.logger.log(`   🧾 _manifest.json (${Object.keys(this.manifest.services).length} services)`);
+    }
+
+    /**
+     * Save schemas for a specific service
+     */
+    async saveServiceSchemas(serviceDir, serviceName, serviceSchemas, waiters = null) {
+        await this.ensureDirectory(serviceDir);
+        
+        const commandCount = Object.keys(serviceSchemas).length;
+        this.logger.log(`   📁 ${serviceDir}/ (${commandCount} commands)`);
+        
+        if (this.layout.format === 'bundle') {
+            await this.saveServiceBundle(serviceDir, serviceName, serviceSchemas, waiters);
+            return;
+        }
+        
+        // Save each command as a separate file (the NDJSON layout writes them to one stream instead)
+        if (this.layout.format === 'files') {
+            for (const [commandName, schema] of Object.entries(serviceSchemas)) {
+                const commandFile = path.join(serviceDir, `${commandName}.json`);
+                const commandData = this.buildCommandFile(commandName, schema);
+            
+                await fs.writeFile(commandFile, this.toJson(commandData), 'utf8');
+                this.logger.log(`     ✓ ${commandName}.json`);
+            
+                // Standards-compliant JSON Schema for the command input
+                if (schema.jsonSchema) {
+                    const jsonSchemaFile = path.join(serviceDir, `${commandName}.schema.json`);
+                    await fs.writeFile(jsonSchemaFile, this.toJson(schema.jsonSchema), 'utf8');
+                    this.logger.log(`     ✓ ${commandName}.schema.json`);
+                }
+            }
+        }
+        
+        // Create service summary file
+        await this.createServiceSummary(serviceDir, serviceName, serviceSchemas);
+        
+        // Create service error catalog
+        await this.createErrorCatalog(serviceDir, serviceName, serviceSchemas);
+        
+        // Save waiter definitions (only for services that have waiters)
+        if (waiters) {
+            await this.saveServiceWaiters(serviceDir, serviceName, waiters);
+        }
+    }
+
+    /**
+     * Save a service (or an older API version of it) as a single bundle file
+     */
+    async saveServiceBundle(serviceDir, serviceName, serviceSchemas, waiters = null) {
+        const bundle = {
+            service: serviceName,
+            apiVersion: Object.values(serviceSchemas)[0]?.apiVersion || null,
+            generatedAt: this.getTimestamp(),
+            summary: this.buildServiceSummary(serviceName, serviceSchemas),
+            errors: this.buildErrorCatalog(serviceName, serviceSchemas),
+            waiters: waiters ? this.buildWaitersFile(serviceName, waiters) : null,
+            commands: Object.fromEntries(
+                Object.entries(serviceSchemas).map(([commandName, schema]) => [commandName, this.buildCommandFile(commandName, schema)])
+            )
+        };
+        
+        if (this.options.jsonSchema) {
+            bundle.jsonSchemas = Object.fromEntries(
+                Object.entries(serviceSchemas).map(([commandName, schema]) => [commandName, schema.jsonSchema])
+            );
+        }
+        
+        await this.layout.writeFile(path.join(serviceDir, this.layout.bundleFile), this.toJson(bundle));
+        this.logger.log(`     📦 ${this.layout.bundleFile}`);
+    }
+
+    /**
+     * Write every command (all services and API versions) as one line of the NDJSON stream.
+     * Commands of services skipped by an incremental run are copied from the previous stream.
+     */
+    async saveCommandStream(outputDir) {
+        const streamPath = path.join(outputDir, this.layout.streamFile);
+        
+        const previousRecords = {};
+        if (this.unchangedServices.length > 0) {
+            for await (const record of OutputLayout.readStream(streamPath)) {
+                if (this.unchangedServices.includes(record.service)) {
+                    (previousRecords[record.service] = previousRecords[record.service] || []).push(record);
+                }
+            }
+        }
+        
+        let commandCount = 0;
+        const parser = this;
+        const lines = function* () {
+            for (const serviceName of Object.keys(parser.apiVersions)) {
+                if (previousRecords[serviceName]) {
+                    for (const record of previousRecords[serviceName]) {
+                        commandCount++;
+                        yield parser.toJson(record, 0);
+                    }
+                    continue;
+                }
+                
+                const versions = [parser.schemas[serviceName], ...Object.values(parser.olderVersions[serviceName] || {}).map(target => target.schemas)];
+                for (const serviceSchemas of versions.filter(Boolean)) {
+                    for (const [commandName, schema] of Object.entries(serviceSchemas)) {
+                        const record = parser.buildCommandFile(commandName, schema);
+                        if (schema.jsonSchema) {
+                            record.jsonSchema = schema.jsonSchema;
+                        }
+                        commandCount++;
+                        yield parser.toJson(record, 0);
+                    }
+                }
+            }
+        };
+        
+        await this.layout.writeStream(streamPath, lines());
+        this.logger.log(`   📜 ${this.layout.streamFile} (${commandCount} commands)`);
+    }
+
+    /**
+     * Write the search index of the latest API version of every service (see SearchIndex).
+     * Documents of services skipped by an incremental run are copied from the previous index.
+     */
+    async saveSearchIndex(outputDir) {
+        const searchPath = path.join(outputDir, this.searchIndexFile);
+        
+        const previousDocuments = {};
+        if (this.unchangedServices.length > 0) {
+            const previousIndex = SearchIndex.fromJSON(await OutputLayout.readJson(searchPath));
+            for (const document of previousIndex.documents) {
+                if (this.unchangedServices.includes(document.service)) {
+                    (previousDocuments[document.service] = previousDocuments[document.service] || []).push(document);
+                }
+            }
+        }
+        
+        const documents = [];
+        for (const serviceName of Object.keys(this.apiVersions)) {
+            if (previousDocuments[serviceName]) {
+                documents.push(...previousDocuments[serviceName]);
+                continue;
+            }
+            
+            for (const [commandName, schema] of Object.entries(this.schemas[serviceName] || {})) {
+                documents.push(SearchIndex.buildDocument(this.buildCommandFile(commandName, schema)));
+            }
+        }
+        
+        await this.layout.writeFile(searchPath, this.toJson(new SearchIndex(documents), 0));
+        this.searchDocuments = documents.length;
+        this.logger.log(`   🔎 ${this.searchIndexFile} (${documents.length} commands)`);
+    }
+
+    /**
+     * Build the contents of a <Command>.json file from a parsed command schema
+     */
+    buildCommandFile(commandName, schema) {
+        return {
+            command: commandName,
+            service: schema.service,
+            operation: schema.operation,
+            apiVersion: schema.apiVersion,
+            generatedAt: this.getTimestamp(),
+            parameters: schema.parameters,
+            requiredParameters: schema.requiredParameters,
+            optionalParameters: schema.optionalParameters,
+            inputShape: schema.inputShape || null,
+            http: schema.http,
+            output: schema.output || null,
+            errors: schema.errors || [],
+            pagination: schema.pagination || { paginated: false },
+            waiters: schema.waiters || [],
+            examples: schema.examples || [],
+            documentation: schema.documentation || null,
+            parameterCount: Object.keys(schema.parameters).length,
+            summary: {
+                required: schema.requiredParameters.map(p => 
+                    `${p} (${schema.parameters[p].type})`
+                ),
+                optional: schema.optionalParameters.map(p => 
+                    `${p} (${schema.parameters[p].type})`
+                )
+            }
+        };
+    }
+
+    /**
+     * Save waiter definitions for a service
+     */
+    async saveServiceWaiters(serviceDir, serviceName, waiters) {
+        const waitersData = this.buildWaitersFile(serviceName, waiters);
+        
+        const waitersFile = path.join(serviceDir, '_waiters.json');
+        await fs.writeFile(waitersFile, this.toJson(waitersData), 'utf8');
+        this.logger.log(`     ⏳ _waiters.json (${waitersData.totalWaiters} waiters)`);
+    }
+
+    /**
+     * Build the contents of a _waiters.json file
+     */
+    buildWaitersFile(serviceName, waiters) {
+        return {
+            service: serviceName,
+            generatedAt: this.getTimestamp(),
+            totalWaiters: Object.keys(waiters).length,
+            waiters
+        };
+    }
+
+    /**
+     * Create error catalog for a service (every modeled error and the commands raising it)
+     */
+    async createErrorCatalog(serviceDir, serviceName, serviceSchemas) {
+        const errorCatalog = this.buildErrorCatalog(serviceName, serviceSchemas);
+        
+        const errorsFile = path.join(serviceDir, '_errors.json');
+        await fs.writeFile(errorsFile, this.toJson(errorCatalog), 'utf8');
+        this.logger.log(`     🚨 _errors.json (${errorCatalog.totalErrors} errors)`);
+    }
+
+    /**
+     * Build the contents of a _errors.json file
+     */
+    buildErrorCatalog(serviceName, serviceSchemas) {
+        const errorCatalog = {
+            service: serviceName,
+            generatedAt: this.getTimestamp(),
+            totalErrors: 0,
+            errors: {}
+        };
+        
+        for (const [commandName, schema] of Object.entries(serviceSchemas)) {
+            for (const error of schema.errors || []) {
+                if (!errorCatalog.errors[error.shape]) {
+                    const { shape, ...errorInfo } = error;
+                    errorCatalog.errors[shape] = {
+                        ...errorInfo,
+                        commands: []
+                    };
+                }
+                errorCatalog.errors[error.shape].commands.push(commandName);
+            }
+        }
+        
+        errorCatalog.totalErrors = Object.keys(errorCatalog.errors).length;
+        
+        return errorCatalog;
+    }
+
+    /**
+     * Create summary file for a service
+     */
+    async createServiceSummary(serviceDir, serviceName, serviceSchemas) {
+        const serviceSummary = this.buildServiceSummary(serviceName, serviceSchemas);
+        
+        const summaryFile = path.join(serviceDir, '_service-summary.json');
+        await fs.writeFile(summaryFile, this.toJson(serviceSummary), 'utf8');
+        this.logger.log(`     📋 _service-summary.json`);
+    }
+
+    /**
+     * Build the contents of a _service-summary.json file
+     */
+    buildServiceSummary(serviceName, serviceSchemas) {
+        const serviceSummary = {
+            service: serviceName,
+            apiVersion: Object.values(serviceSchemas)[0]?.apiVersion || null,
+            generatedAt: this.getTimestamp(),
+            totalCommands: Object.keys(serviceSchemas).length,
+            commands: {}
+        };
+        
+        // Add command summaries
+        for (const [commandName, schema] of Object.entries(serviceSchemas)) {
             serviceSummary.commands[commandName] = {
                 operation: schema.operation,
                 parameterCount: Object.keys(schema.parameters).length,
                 requiredCount: schema.requiredParameters.length,
                 optionalCount: schema.optionalParameters.length,
                 required: schema.requiredParameters,
-                optional: schema.optionalParameters
+                optional: schema.optionalParameters,
+                http: `${schema.http.method} ${schema.http.requestUri}`,
+                outputShape: schema.output ? schema.output.shape : null,
+                outputMembers: schema.output && schema.output.members ? Object.keys(schema.output.members) : [],
+                paginated: Boolean(schema.pagination && schema.pagination.paginated),
+                waiters: schema.waiters || [],
+                exampleCount: (schema.examples || []).length
             };
+            
+            // Surface top-level parameter constraints
+            const constraints = {};
+            for (const [paramName, paramInfo] of Object.entries(schema.parameters)) {
+                if (paramInfo.constraints) {
+                    constraints[paramName] = paramInfo.constraints;
+                }
+            }
+            if (Object.keys(constraints).length > 0) {
+                serviceSummary.commands[commandName].constraints = constraints;
+            }
         }
         
-        const summaryFile = path.join(serviceDir, '_service-summary.json');
-        await fs.writeFile(summaryFile, JSON.stringify(serviceSummary, null, 2), 'utf8');
-        console.log(`     📋 _service-summary.json`);
+        return serviceSummary;
     }
 
     /**
@@ -412,42 +1628,69 @@ class Boto3ServiceJsonParser {
     async saveOverallMetadata(outputDir) {
         // Create main index file
         const indexData = {
-            generatedAt: new Date().toISOString(),
+            generatedAt: this.sourceRevision ? this.sourceRevision.date : new Date().toISOString(),
             generator: 'Boto3ServiceJsonParser',
             version: '1.0.0',
             source: 'BOTOCORE_SERVICE_2_JSON_FILES',
-            botocoreDataPath: this.botocoreDataPath,
+            botocoreDataPath: this.options.reproducible ? null : this.botocoreDataPath, // Depends on the checkout location
             stats: this.stats,
             organization: 'BY_SERVICE_FOLDERS',
+            jsonSchema: this.options.jsonSchema,
+            allApiVersions: this.options.allApiVersions,
+            reproducible: this.options.reproducible,
+            sourceRevision: this.sourceRevision, // { commit, date } of the botocore data (reproducible mode only)
+            layout: this.layout.toJSON(), // How command schemas are stored (read by the runtime loader)
+            search: this.options.searchIndex ? { path: this.searchIndexFile, documents: this.searchDocuments } : null,
+            partial: !this.filter.isEmpty(), // true when a filter limited the extracted services/operations
+            filter: this.filter.isEmpty() ? null : this.filter.toJSON(),
             structure: {
-                description: 'Each service has its own folder with individual command files',
-                example: 'aws-schemas/elasticache/AddTagsToResourceCommand.json'
+                description: {
+                    files: 'Each service has its own folder with individual command files',
+                    bundle: 'Each service has its own folder with one bundle of its commands, summary, errors and waiters',
+                    ndjson: 'All commands are in one stream (a command per line); service folders keep summaries, errors and waiters'
+                }[this.layout.format],
+                example: `aws-schemas/${this.layout.toJSON().path.replace('<service>', 'elasticache').replace('<Command>', 'AddTagsToResourceCommand')}`
             },
             services: {},
             errors: this.errors
         };
         
-        // Group by service for index
-        for (const [commandName, schema] of Object.entries(this.schemas)) {
-            const serviceName = schema.service;
-            if (!indexData.services[serviceName]) {
-                indexData.services[serviceName] = {
-                    commandCount: 0,
-                    commands: []
-                };
+        // List commands by service for index (skipped services keep the entry recorded in the manifest)
+        for (const serviceName of Object.keys(this.apiVersions)) {
+            const serviceIndex = this.unchangedServices.includes(serviceName)
+                ? this.manifest.services[serviceName].index
+                : this.buildServiceIndexEntry(serviceName);
+            
+            if (serviceIndex) {
+                indexData.services[serviceName] = serviceIndex;
             }
-            indexData.services[serviceName].commandCount++;
-            indexData.services[serviceName].commands.push(commandName);
         }
         
         const indexFile = path.join(outputDir, 'index.json');
-        await fs.writeFile(indexFile, JSON.stringify(indexData, null, 2), 'utf8');
-        console.log(`   📋 index.json (main index)`);
+        await fs.writeFile(indexFile, this.toJson(indexData), 'utf8');
+        this.logger.log(`   📋 index.json (main index)`);
         
         // Create README
         await this.createReadme(outputDir, indexData);
     }
 
+    /**
+     * Index entry of a parsed service (null when its latest API version could not be parsed)
+     */
+    buildServiceIndexEntry(serviceName) {
+        const serviceSchemas = this.schemas[serviceName];
+        if (!serviceSchemas) {
+            return null;
+        }
+        
+        return {
+            apiVersion: this.apiVersions[serviceName][0],
+            apiVersions: this.apiVersions[serviceName],
+            commandCount: Object.keys(serviceSchemas).length,
+            commands: Object.keys(serviceSchemas)
+        };
+    }
+
     /**
      * Create README file explaining the structure
      */
@@ -510,277 +1753,120 @@ ${Object.entries(indexData.services)
 - **Date**: ${indexData.generatedAt}
 - **Source**: ${indexData.source}
 - **Generator**: ${indexData.generator}
+- **Layout**: ${indexData.layout.format}${indexData.layout.compression ? ` (${indexData.layout.compression})` : ''}, commands in \`${indexData.layout.path}\`
+- **Search index**: ${indexData.search ? `\`${indexData.search.path}\` (${indexData.search.documents} commands)` : 'not written'}
 `;
 
         const readmeFile = path.join(outputDir, 'README.md');
         await fs.writeFile(readmeFile, readmeContent, 'utf8');
-        console.log(`   📖 README.md`);
+        this.logger.log(`   📖 README.md`);
     }
 
     /**
-     * Ensure directory exists
+     * Commit and date of the botocore data, the single timestamp of reproducible output. The date is
+     * SOURCE_DATE_EPOCH when set, else the date of the last git commit touching the data directory,
+     * else the newest extracted API version.
      */
-    async ensureDirectory(dirPath) {
+    async resolveSourceRevision() {
+        const revision = { commit: null, date: null };
+        
         try {
-            await fs.access(dirPath);
+            const { stdout } = await promisify(execFile)('git', ['log', '-1', '--format=%H %cI', '--', '.'], {
+                cwd: this.botocoreDataPath
+            });
+            const [commit, commitDate] = stdout.trim().split(' ');
+            if (commit) {
+                revision.commit = commit;
+                revision.date = new Date(commitDate).toISOString();
+            }
         } catch (error) {
-            await fs.mkdir(dirPath, { recursive: true });
+            // Not a git checkout, or git is not installed
         }
+        
+        if (process.env.SOURCE_DATE_EPOCH) {
+            if (!/^\d+$/.test(process.env.SOURCE_DATE_EPOCH)) {
+                throw new Error(`SOURCE_DATE_EPOCH must be a number of seconds (got ${process.env.SOURCE_DATE_EPOCH})`);
+            }
+            revision.date = new Date(Number(process.env.SOURCE_DATE_EPOCH) * 1000).toISOString();
+        }
+        
+        if (!revision.date) {
+            const newestApiVersion = Object.values(this.apiVersions).map(versions => versions[0]).sort().pop();
+            revision.date = new Date(newestApiVersion ? `${newestApiVersion}T00:00:00Z` : 0).toISOString();
+        }
+        
+        return revision;
     }
 
     /**
-     * Create summary file
+     * Timestamp for output files. Undefined in reproducible mode, so JSON.stringify leaves the field out.
      */
-    async createSummaryFile(data) {
-        const summary = {
-            generatedAt: data.generatedAt,
-            source: data.source,
-            stats: data.stats,
-            services: {},
-            quickReference: {}
-        };
+    getTimestamp() {
+        return this.options.reproducible ? undefined : new Date().toISOString();
+    }
 
-        // Group by service
-        for (const [commandName, schema] of Object.entries(data.schemas)) {
-            if (!summary.services[schema.service]) {
-                summary.services[schema.service] = [];
-            }
-            summary.services[schema.service].push(commandName);
-            
-            // Quick reference
-            summary.quickReference[commandName] = {
-                service: schema.service,
-                operation: schema.operation,
-                totalParams: Object.keys(schema.parameters).length,
-                required: schema.requiredParameters,
-                optional: schema.optionalParameters
-            };
-        }
+    /**
+     * Text of a JSON output file or NDJSON line (reproducible mode sorts object keys)
+     */
+    toJson(data, space = 2) {
+        return JSON.stringify(data, this.options.reproducible ? sortKeys : null, space);
+    }
 
-        const summaryContent = JSON.stringify(summary, null, 2);
-        await fs.writeFile('aws-boto3-summary.json', summaryContent, 'utf8');
+    /**
+     * Ensure directory exists
+     */
+    async ensureDirectory(dirPath) {
+        try {
+            await fs.access(dirPath);
+        } catch (error) {
+            await fs.mkdir(dirPath, { recursive: true });
+        }
     }
 
     /**
      * Print parsing summary
      */
     printSummary() {
-        console.log('\n📊 BOTO3 SERVICE-2.JSON PARSING SUMMARY:');
-        console.log(`🏗️  Services processed: ${this.stats.totalServices}`);
-        console.log(`⚙️  Operations found: ${this.stats.totalOperations}`);
-        console.log(`✅ Successful extractions: ${this.stats.successfulExtractions}`);
-        console.log(`❌ Failed extractions: ${this.stats.failedExtractions}`);
+        this.logger.log('\n📊 BOTO3 SERVICE-2.JSON PARSING SUMMARY:');
+        this.logger.log(`🏗️  Services processed: ${this.stats.totalServices}`);
+        this.logger.log(`⚙️  Operations found: ${this.stats.totalOperations}`);
+        this.logger.log(`✅ Successful extractions: ${this.stats.successfulExtractions}`);
+        this.logger.log(`❌ Failed extractions: ${this.stats.failedExtractions}`);
+        this.logger.log(`📄 Paginated operations: ${this.stats.paginatedOperations}`);
+        this.logger.log(`⏳ Waiters: ${this.stats.totalWaiters}`);
+        this.logger.log(`🗓️  API versions: ${this.stats.totalApiVersions}`);
+        if (!this.filter.isEmpty()) {
+            this.logger.log(`🔎 Filtered out: ${this.stats.filteredServices} services, ${this.stats.filteredOperations} operations`);
+        }
+        if (this.unchangedServices.length > 0) {
+            this.logger.log(`♻️  Unchanged services skipped: ${this.unchangedServices.length}`);
+        }
+        this.logger.log(`⏱️  Time: ${this.timings.totalMs} ms (discovery ${this.timings.discoveryMs} ms, ` +
+            `parsing ${this.timings.parseMs} ms, writing ${this.timings.writeMs} ms, concurrency ${this.options.concurrency})`);
         
         // Show service breakdown
         const serviceBreakdown = {};
-        for (const [commandName, schema] of Object.entries(this.schemas)) {
-            const serviceName = schema.service;
-            if (!serviceBreakdown[serviceName]) {
-                serviceBreakdown[serviceName] = 0;
-            }
-            serviceBreakdown[serviceName]++;
+        for (const [serviceName, serviceSchemas] of Object.entries(this.schemas)) {
+            serviceBreakdown[serviceName] = Object.keys(serviceSchemas).length;
         }
         
-        console.log('\n📋 Commands per service:');
+        this.logger.log('\n📋 Commands per service:');
         Object.entries(serviceBreakdown)
             .sort(([,a], [,b]) => b - a)
             .slice(0, 10)
             .forEach(([service, count]) => {
-                console.log(`   ${service}: ${count} commands`);
+                this.logger.log(`   ${service}: ${count} commands`);
             });
         
-        console.log('\n🎉 Schemas organized by service folders!');
+        this.logger.log('\n🎉 Schemas organized by service folders!');
     }
 
     /**
-     * Create runtime loader for organized schema files
+     * Create runtime loader for organized schema files (see SchemaLoader for the options)
      */
-    static createRuntimeLoader(schemasBasePath = './aws-schemas') {
-        return {
-            schemasPath: schemasBasePath,
-            
-            async loadServiceIndex() {
-                try {
-                    const indexPath = path.join(this.schemasPath, 'index.json');
-                    const data = await fs.readFile(indexPath, 'utf8');
-                    return JSON.parse(data);
-                } catch (error) {
-                    console.error('Failed to load service index:', error.message);
-                    return null;
-                }
-            },
-
-            async getAvailableServices() {
-                const index = await this.loadServiceIndex();
-                return index ? Object.keys(index.services) : [];
-            },
-
-            async getServiceSummary(serviceName) {
-                try {
-                    const summaryPath = path.join(this.schemasPath, serviceName, '_service-summary.json');
-                    const data = await fs.readFile(summaryPath, 'utf8');
-                    return JSON.parse(data);
-                } catch (error) {
-                    console.error(`Failed to load ${serviceName} summary:`, error.message);
-                    return null;
-                }
-            },
-
-            async getCommandSchema(commandName, serviceName = null) {
-                try {
-                    // If service name provided, look directly
-                    if (serviceName) {
-                        const commandPath = path.join(this.schemasPath, serviceName, `${commandName}.json`);
-                        const data = await fs.readFile(commandPath, 'utf8');
-                        return JSON.parse(data);
-                    }
-                    
-                    // Otherwise, search across all services
-                    const services = await this.getAvailableServices();
-                    
-                    for (const service of services) {
-                        try {
-                            const commandPath = path.join(this.schemasPath, service, `${commandName}.json`);
-                            const data = await fs.readFile(commandPath, 'utf8');
-                            return JSON.parse(data);
-                        } catch (error) {
-                            // Command not in this service, continue searching
-                            continue;
-                        }
-                    }
-                    
-                    return null; // Command not found in any service
-                    
-                } catch (error) {
-                    console.error(`Failed to load command ${commandName}:`, error.message);
-                    return null;
-                }
-            },
-
-            async getCommandParameters(commandName, serviceName = null) {
-                const schema = await this.getCommandSchema(commandName, serviceName);
-                
-                if (!schema) return null;
-                
-                return {
-                    required: schema.summary.required.map(p => `${p} Required`),
-                    optional: schema.summary.optional.map(p => `${p} Optional`),
-                    schema
-                };
-            },
-
-            async getServiceCommands(serviceName) {
-                const summary = await this.getServiceSummary(serviceName);
-                return summary ? Object.keys(summary.commands) : [];
-            },
-
-            async searchCommands(searchTerm) {
-                const results = [];
-                const services = await this.getAvailableServices();
-                
-                for (const serviceName of services) {
-                    const commands = await this.getServiceCommands(serviceName);
-                    
-                    for (const commandName of commands) {
-                        if (commandName.toLowerCase().includes(searchTerm.toLowerCase())) {
-                            results.push({
-                                command: commandName,
-                                service: serviceName
-                            });
-                        }
-                    }
-                }
-                
-                return results;
-            }
-        };
-    }
-}
-
-// Usage function with path configuration
-async function runBoto3JsonParser() {
-    console.log('🎯 Boto3 service-2.json Parser\n');
-    
-    // CONFIGURE THIS PATH - Point to your cloned botocore data directory
-    const BOTOCORE_DATA_PATH = process.env.BOTOCORE_DATA_PATH || './botocore/botocore/data';
-    
-    console.log('📋 SETUP INSTRUCTIONS:');
-    console.log('1. Clone botocore repository:');
-    console.log('   git clone https://github.com/boto/botocore.git');
-    console.log('2. Set the path below to: ./botocore/botocore/data');
-    console.log('3. Run this script\n');
-    console.log(`Current path: ${BOTOCORE_DATA_PATH}\n`);
-    
-    try {
-        // Check if path exists
-        await fs.access(BOTOCORE_DATA_PATH);
-        
-        const parser = new Boto3ServiceJsonParser(BOTOCORE_DATA_PATH);
-        await parser.parseAllServiceJsonFiles();
-        
-        // Test the organized loader
-        console.log('\n🧪 Testing organized schema loader...');
-        const loader = Boto3ServiceJsonParser.createRuntimeLoader('./aws-schemas');
-        
-        // Test service listing
-        const services = await loader.getAvailableServices();
-        console.log(`\n📋 Available services: ${services.length}`);
-        console.log('Services:', services.slice(0, 5).join(', ') + (services.length > 5 ? '...' : ''));
-        
-        // Test specific command loading
-        const addTagsResult = await loader.getCommandParameters('AddTagsToResourceCommand', 'elasticache');
-        if (addTagsResult) {
-            console.log('\n📄 AddTagsToResourceCommand (from elasticache/AddTagsToResourceCommand.json):');
-            console.log('  Required:', addTagsResult.required);
-            console.log('  Optional:', addTagsResult.optional);
-        }
-        
-        // Test service summary
-        if (services.includes('elasticache')) {
-            const elasticacheSummary = await loader.getServiceSummary('elasticache');
-            if (elasticacheSummary) {
-                console.log(`\n📊 ElastiCache service summary:`);
-                console.log(`  Total commands: ${elasticacheSummary.totalCommands}`);
-                console.log(`  Example commands: ${Object.keys(elasticacheSummary.commands).slice(0, 3).join(', ')}`);
-            }
-        }
-        
-        // Test command search
-        const tagCommands = await loader.searchCommands('Tag');
-        console.log(`\n🔍 Commands containing 'Tag': ${tagCommands.length}`);
-        tagCommands.slice(0, 3).forEach(result => {
-            console.log(`  - ${result.command} (${result.service})`);
-        });
-        
-        console.log('\n✅ Organized schema structure created successfully!');
-        console.log('\n📁 Directory structure:');
-        console.log('aws-schemas/');
-        console.log('├── index.json');
-        console.log('├── README.md'); 
-        services.slice(0, 3).forEach(service => {
-            console.log(`├── ${service}/`);
-            console.log(`│   ├── _service-summary.json`);
-            console.log(`│   ├── [CommandName].json`);
-            console.log(`│   └── ...`);
-        });
-        if (services.length > 3) {
-            console.log('└── ...');
-        }
-        
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.error(`❌ Botocore data path not found: ${BOTOCORE_DATA_PATH}`);
-            console.error('\n📋 Setup instructions:');
-            console.error('1. Clone: git clone https://github.com/boto/botocore.git');
-            console.error('2. Update BOTOCORE_DATA_PATH to point to: ./botocore/botocore/data');
-            console.error('3. Or set environment variable: BOTOCORE_DATA_PATH=./botocore/botocore/data');
-        } else {
-            console.error('❌ Parser failed:', error.message);
-        }
+    static createRuntimeLoader(schemasBasePath = './aws-schemas', options = {}) {
+        return new SchemaLoader(schemasBasePath, options);
     }
 }
 
 export { Boto3ServiceJsonParser };
-
-// Run the parser
-runBoto3JsonParser();
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * Include/exclude patterns for services and operations.
+ *
+ * Patterns look like `s3`, `ec2:Describe*` or `!ec2:*Ipam*`: a service glob, an optional
+ * operation glob after the colon, and a leading `!` for exclusions. `*` and `?` are the
+ * only wildcards and matching is case-insensitive. When include patterns are given,
+ * only matching services/operations are kept; exclusions always win.
+ *
+ * Services (e.g. --service s3,ec2) narrow the selection further: with both services and
+ * patterns, an operation has to be in one of the services and match the patterns.
+ */
+class ExtractionFilter {
+    constructor(patterns = [], services = []) {
+        this.patterns = [...new Set(patterns.map(pattern => pattern.trim()).filter(Boolean))];
+        this.services = [...new Set(services.map(serviceName => serviceName.trim()).filter(Boolean))];
+        this.includes = [];
+        this.excludes = [];
+        this.serviceRules = this.services.map(serviceName => ExtractionFilter.parsePattern(serviceName));
+        
+        for (const pattern of this.patterns) {
+            const parsed = ExtractionFilter.parsePattern(pattern);
+            (parsed.exclude ? this.excludes : this.includes).push(parsed);
+        }
+    }
+
+    /**
+     * Parse one pattern into service and operation regular expressions
+     */
+    static parsePattern(pattern) {
+        const exclude = pattern.startsWith('!');
+        const body = exclude ? pattern.slice(1) : pattern;
+        const separator = body.indexOf(':');
+        const serviceGlob = separator === -1 ? body : body.slice(0, separator);
+        const operationGlob = separator === -1 ? null : body.slice(separator + 1);
+        
+        if (!serviceGlob || operationGlob === '') {
+            const error = new Error(`Invalid filter pattern: ${pattern} (expected service or service:Operation)`);
+            error.code = 'INVALID_FILTER';
+            throw error;
+        }
+        
+        return {
+            pattern,
+            exclude,
+            serviceGlob,
+            service: ExtractionFilter.globToRegExp(serviceGlob),
+            operation: operationGlob ? ExtractionFilter.globToRegExp(operationGlob) : null
+        };
+    }
+
+    /**
+     * Convert a glob with * and ? wildcards into an anchored, case-insensitive RegExp
+     */
+    static globToRegExp(glob) {
+        const source = glob
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    /**
+     * True when no patterns were given (everything is extracted)
+     */
+    isEmpty() {
+        return this.patterns.length === 0 && this.services.length === 0;
+    }
+
+    /**
+     * Whether a rule list selects a service (an empty list selects everything)
+     */
+    static selects(rules, matches) {
+        return rules.length === 0 || rules.some(matches);
+    }
+
+    /**
+     * Whether any operation of a service can be selected
+     */
+    matchesService(serviceName) {
+        const matches = rule => rule.service.test(serviceName);
+        const included = ExtractionFilter.selects(this.serviceRules, matches) && ExtractionFilter.selects(this.includes, matches);
+        
+        // Only whole-service exclusions (no operation part) drop the service itself
+        const excluded = this.excludes.some(rule => !rule.operation && rule.service.test(serviceName));
+        
+        return included && !excluded;
+    }
+
+    /**
+     * Whether an operation of a service is selected
+     */
+    matchesOperation(serviceName, operationName) {
+        const matches = rule => rule.service.test(serviceName) && (!rule.operation || rule.operation.test(operationName));
+        
+        const included = ExtractionFilter.selects(this.serviceRules, matches) && ExtractionFilter.selects(this.includes, matches);
+        return included && !this.excludes.some(matches);
+    }
+
+    /**
+     * Service names included without wildcards (used to warn about typos)
+     */
+    getLiteralServices() {
+        return [...new Set([...this.serviceRules, ...this.includes]
+            .map(rule => rule.serviceGlob)
+            .filter(serviceGlob => !/[*?]/.test(serviceGlob)))];
+    }
+
+    /**
+     * Services and patterns, for log messages
+     */
+    describe() {
+        return [
+            this.services.length > 0 ? `services ${this.services.join(', ')}` : null,
+            this.patterns.length > 0 ? `patterns ${this.patterns.join(', ')}` : null
+        ].filter(Boolean).join('; ');
+    }
+
+    /**
+     * Filter description recorded in index.json
+     */
+    toJSON() {
+        return {
+            services: this.services,
+            include: this.includes.map(rule => rule.pattern),
+            exclude: this.excludes.map(rule => rule.pattern)
+        };
+    }
+}
+
+// Export for use in other modules
+export { ExtractionFilter };
@@ -0,0 +1,84 @@
+import { Boto3ServiceJsonParser } from './extractor.js';
+import { SchemaValidator } from './validator.js';
+import { RequestValidator } from './request-validator.js';
+import { TypeScriptGenerator } from './typescript-generator.js';
+import { ZodGenerator } from './zod-generator.js';
+import { SchemaDiff } from './schema-diff.js';
+import { ChangeClassifier } from './change-classifier.js';
+import { OutputLayout } from './output-layout.js';
+import { SchemaLoader } from './schema-loader.js';
+import { SearchIndex } from './search-index.js';
+
+/**
+ * Create a runtime loader for an extracted schemas directory
+ * (options: cacheSize, preload - see SchemaLoader)
+ */
+function createSchemaLoader(schemasPath = './aws-schemas', options = {}) {
+    return Boto3ServiceJsonParser.createRuntimeLoader(schemasPath, options);
+}
+
+/**
+ * Extract schemas from a botocore data directory and return them in memory.
+ * Files are only written when an output directory is given; logger: null turns logging off.
+ * With incremental: true, services unchanged since the last write to output are not parsed
+ * again (they are listed in unchangedServices) but read back from output, so results are complete.
+ */
+async function extract({
+    input,
+    output = null,
+    services = null,
+    filters = null,
+    logger = console,
+    jsonSchema = false,
+    allApiVersions = false,
+    concurrency = 8,
+    incremental = false,
+    reproducible = false,
+    layout = 'files',
+    gzip = false,
+    searchIndex = true
+} = {}) {
+    if (!input) {
+        throw new Error('extract() needs an input botocore data directory');
+    }
+
+    const parser = new Boto3ServiceJsonParser(input, {
+        outputPath: output,
+        services,
+        filters,
+        logger,
+        jsonSchema,
+        allApiVersions,
+        concurrency,
+        incremental,
+        reproducible,
+        layout,
+        gzip,
+        searchIndex
+    });
+
+    await parser.parseServices();
+
+    if (output) {
+        await parser.saveResults();
+    }
+
+    const results = parser.getResults();
+    return parser.unchangedServices.length > 0 ? parser.addUnchangedResults(results) : results;
+}
+
+// Export for use in other modules
+export {
+    extract,
+    createSchemaLoader,
+    Boto3ServiceJsonParser,
+    SchemaValidator,
+    RequestValidator,
+    TypeScriptGenerator,
+    ZodGenerator,
+    SchemaDiff,
+    ChangeClassifier,
+    OutputLayout,
+    SchemaLoader,
+    SearchIndex
+};
@@ -0,0 +1,163 @@
+import { createReadStream, createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import readline from 'readline';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Ways the command schemas of an extraction can be written
+const FORMATS = ['files', 'bundle', 'ndjson'];
+
+/**
+ * How command schemas are stored in an output directory (recorded as `layout` in index.json):
+ *
+ * - files: one <Command>.json (and <Command>.schema.json) per command, the default
+ * - bundle: one _bundle.json per service folder with its commands, summary, errors and waiters
+ * - ndjson: one commands.ndjson stream with a command per line; service folders keep their
+ *   _service-summary.json, _errors.json and _waiters.json
+ *
+ * Bundles and streams can be gzipped, which adds a .gz extension.
+ */
+class OutputLayout {
+    constructor({ format = 'files', compression = null } = {}) {
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown output layout: ${format} (expected ${FORMATS.join(', ')})`);
+        }
+        if (compression !== null && compression !== 'gzip') {
+            throw new Error(`Unknown output compression: ${compression} (expected gzip)`);
+        }
+        if (compression && format === 'files') {
+            throw new Error('gzip compression needs the bundle or ndjson layout');
+        }
+        
+        this.format = format;
+        this.compression = compression;
+    }
+
+    /**
+     * Layout of an extraction from its index.json (output written before layouts existed uses files)
+     */
+    static fromIndex(index) {
+        return new OutputLayout((index && index.layout) || {});
+    }
+
+    get extension() {
+        return this.compression === 'gzip' ? '.gz' : '';
+    }
+
+    get bundleFile() {
+        return `_bundle.json${this.extension}`;
+    }
+
+    get streamFile() {
+        return `commands.ndjson${this.extension}`;
+    }
+
+    /**
+     * Description recorded in index.json
+     */
+    toJSON() {
+        const paths = {
+            files: '<service>/<Command>.json',
+            bundle: `<service>/${this.bundleFile}`,
+            ndjson: this.streamFile
+        };
+        
+        return {
+            format: this.format,
+            compression: this.compression,
+            path: paths[this.format]
+        };
+    }
+
+    /**
+     * Write a bundle or other layout file, compressing it when the layout is gzipped
+     */
+    async writeFile(filePath, text) {
+        const content = this.compression === 'gzip' ? await gzip(text) : text;
+        await fs.writeFile(filePath, content);
+    }
+
+    /**
+     * Write an NDJSON stream from an (async) iterable of JSON lines. The stream goes to a temporary
+     * file first, so the previous stream can still be read while the new one is written.
+     */
+    async writeStream(filePath, lines) {
+        const tempPath = `${filePath}.tmp`;
+        const source = Readable.from((async function* () {
+            for await (const line of lines) {
+                yield `${line}\n`;
+            }
+        })());
+        
+        const stages = [source, this.compression === 'gzip' ? zlib.createGzip() : null, createWriteStream(tempPath)];
+        await pipeline(...stages.filter(Boolean));
+        await fs.rename(tempPath, filePath);
+    }
+
+    /**
+     * Read a JSON file, gunzipping it when it ends in .gz
+     */
+    static async readJson(filePath) {
+        let content = await fs.readFile(filePath);
+        if (filePath.endsWith('.gz')) {
+            content = await gunzip(content);
+        }
+        return JSON.parse(content.toString('utf8'));
+    }
+
+    /**
+     * Yield the records of an NDJSON stream one at a time, gunzipping it when it ends in .gz
+     */
+    static async *readStream(filePath) {
+        for await (const { record } of OutputLayout.readStreamEntries(filePath)) {
+            yield record;
+        }
+    }
+
+    /**
+     * Yield { record, offset, length } for each record of an NDJSON stream, with the byte range of
+     * its line in the (uncompressed) stream
+     */
+    static async *readStreamEntries(filePath) {
+        const file = createReadStream(filePath);
+        const input = filePath.endsWith('.gz') ? file.pipe(zlib.createGunzip()) : file;
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        let offset = 0;
+        
+        try {
+            for await (const line of lines) {
+                const length = Buffer.byteLength(line, 'utf8');
+                if (line.trim()) {
+                    yield { record: JSON.parse(line), offset, length };
+                }
+                offset += length + 1; // Lines are written with \n
+            }
+        } finally {
+            // Readers may stop early
+            file.destroy();
+        }
+    }
+
+    /**
+     * Read the record at a byte range of an uncompressed NDJSON stream
+     */
+    static async readStreamRecord(filePath, offset, length) {
+        const file = await fs.open(filePath, 'r');
+        
+        try {
+            const buffer = Buffer.alloc(length);
+            await file.read(buffer, 0, length, offset);
+            return JSON.parse(buffer.toString('utf8'));
+        } finally {
+            await file.close();
+        }
+    }
+}
+
+// Export for use in other modules
+export { OutputLayout };
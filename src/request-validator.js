@@ -0,0 +1,307 @@
+import { Boto3ServiceJsonParser } from './extractor.js';
+
+class RequestValidator {
+    constructor(schemasPath = './aws-schemas', loaderOptions = {}) {
+        this.schemasPath = schemasPath;
+        // The loader keeps parsed schemas in its LRU cache (loaderOptions: cacheSize, preload)
+        this.loader = Boto3ServiceJsonParser.createRuntimeLoader(schemasPath, loaderOptions);
+    }
+
+    /**
+     * Validate a request payload against an extracted command schema
+     */
+    async validate(serviceName, commandName, input) {
+        const schema = await this.loadCommandSchema(serviceName, commandName);
+        return RequestValidator.validateInput(schema, input);
+    }
+
+    /**
+     * Load a command schema through the (caching) runtime loader
+     */
+    async loadCommandSchema(serviceName, commandName) {
+        const fullCommandName = commandName.endsWith('Command') ? commandName : `${commandName}Command`;
+        
+        try {
+            // The runtime loader reads whichever output layout index.json describes
+            return await this.loader.readCommand(fullCommandName, serviceName);
+        } catch (error) {
+            const notFound = new Error(`Command schema not found: ${serviceName}/${fullCommandName} (${error.message})`);
+            notFound.code = 'COMMAND_NOT_FOUND';
+            throw notFound;
+        }
+    }
+
+    /**
+     * Validate input against an already loaded command schema (for programmatic use).
+     * Returns { valid, errors } where each error has a path, code and message.
+     */
+    static validateInput(schema, input) {
+        const errors = [];
+        
+        // The command input is a structure of the top-level parameters, named after its input shape
+        // so members referring back to it (recursive shapes) resolve to it
+        const rootNode = {
+            type: 'object',
+            shape: schema.inputShape || null,
+            members: schema.parameters || {},
+            requiredMembers: schema.requiredParameters || []
+        };
+        
+        const definitions = RequestValidator.collectDefinitions(rootNode);
+        
+        // A missing input is an empty one; anything else that is not a structure is a type error
+        // (required members are still reported)
+        const value = input === undefined ? {} : input;
+        if (!RequestValidator.matchesType('object', value)) {
+            errors.push({
+                path: '(input)',
+                code: 'INVALID_TYPE',
+                message: `Expected object, got ${RequestValidator.describeType(value)}`
+            });
+            RequestValidator.validateNode(rootNode, {}, '', definitions, errors);
+        } else {
+            RequestValidator.validateNode(rootNode, value, '', definitions, errors);
+        }
+        
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Collect expanded shape nodes by shape name so recursive references can be resolved
+     */
+    static collectDefinitions(node, definitions = {}) {
+        if (!node || node.recursive) {
+            return definitions;
+        }
+        
+        if (node.shape && !definitions[node.shape] && (node.members || node.items || node.value)) {
+            definitions[node.shape] = node;
+        }
+        
+        for (const member of Object.values(node.members || {})) {
+            RequestValidator.collectDefinitions(member, definitions);
+        }
+        for (const child of [node.items, node.key, node.value]) {
+            RequestValidator.collectDefinitions(child, definitions);
+        }
+        
+        return definitions;
+    }
+
+    /**
+     * Validate a value against a parameter tree node, collecting path-qualified errors
+     */
+    static validateNode(node, value, valuePath, definitions, errors) {
+        const fieldPath = valuePath || '(input)';
+        
+        // Resolve recursive references (e.g. DynamoDB AttributeValue) to their expanded node
+        if (node.recursive) {
+            const definition = definitions[node.ref];
+            if (!definition) {
+                return;
+            }
+            node = definition;
+        }
+        
+        if (value === null || value === undefined) {
+            return;
+        }
+        
+        if (!RequestValidator.matchesType(node.type, value)) {
+            errors.push({
+                path: fieldPath,
+                code: 'INVALID_TYPE',
+                message: `Expected ${node.type}, got ${RequestValidator.describeType(value)}`
+            });
+            return;
+        }
+        if (['integer', 'long'].includes(node.format) && !Number.isInteger(value)) {
+            errors.push({
+                path: fieldPath,
+                code: 'INVALID_TYPE',
+                message: `Expected integer, got ${value}`
+            });
+            return;
+        }
+        
+        if (node.constraints) {
+            RequestValidator.validateConstraints(node, value, fieldPath, errors);
+        }
+        
+        if (node.type === 'array' && node.items) {
+            value.forEach((item, index) => {
+                RequestValidator.validateNode(node.items, item, `${valuePath}[${index}]`, definitions, errors);
+            });
+            return;
+        }
+        
+        if (node.type !== 'object') {
+            return;
+        }
+        
+        // Structure: known members only, required members present
+        if (node.members) {
+            for (const memberName of node.requiredMembers || []) {
+                if (value[memberName] === undefined || value[memberName] === null) {
+                    errors.push({
+                        path: RequestValidator.joinPath(valuePath, memberName),
+                        code: 'MISSING_REQUIRED',
+                        message: `Missing required member ${memberName}`
+                    });
+                }
+            }
+            
+            // Union: exactly one member is set
+            if (node.union) {
+                const setMembers = Object.keys(value).filter(memberName => value[memberName] !== undefined && value[memberName] !== null);
+                if (setMembers.length !== 1) {
+                    errors.push({
+                        path: fieldPath,
+                        code: 'INVALID_UNION',
+                        message: `Exactly one member of ${node.shape || 'the union'} must be set, got ${setMembers.length}${setMembers.length > 1 ? ` (${setMembers.join(', ')})` : ''}`
+                    });
+                }
+            }
+            
+            for (const [memberName, memberValue] of Object.entries(value)) {
+                const memberPath = RequestValidator.joinPath(valuePath, memberName);
+                
+                if (!(memberName in node.members)) {
+                    errors.push({
+                        path: memberPath,
+                        code: 'UNKNOWN_MEMBER',
+                        message: `Unknown member ${memberName}`
+                    });
+                    continue;
+                }
+                
+                RequestValidator.validateNode(node.members[memberName], memberValue, memberPath, definitions, errors);
+            }
+            return;
+        }
+        
+        // Map: validate every key and value
+        for (const [entryKey, entryValue] of Object.entries(value)) {
+            const entryPath = RequestValidator.joinPath(valuePath, entryKey);
+            
+            if (node.key) {
+                RequestValidator.validateNode(node.key, entryKey, entryPath, definitions, errors);
+            }
+            if (node.value) {
+                RequestValidator.validateNode(node.value, entryValue, entryPath, definitions, errors);
+            }
+        }
+    }
+
+    /**
+     * Check a value against an extracted type label.
+     * Timestamps and blobs are extracted as strings, so Date, binary and stream values are accepted too.
+     */
+    static matchesType(type, value) {
+        switch (type) {
+            case 'string':
+                return typeof value === 'string' || value instanceof Date || RequestValidator.isBinary(value);
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+                    !(value instanceof Date) && !RequestValidator.isBinary(value);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Binary blob or streaming body: buffers, Blobs, Node.js readables, web streams and async iterables
+     */
+    static isBinary(value) {
+        if (value === null || typeof value !== 'object') {
+            return false;
+        }
+        return value instanceof Uint8Array ||
+            value instanceof ArrayBuffer ||
+            (typeof Blob !== 'undefined' && value instanceof Blob) ||
+            typeof value.pipe === 'function' ||
+            typeof value.getReader === 'function' ||
+            typeof value[Symbol.asyncIterator] === 'function';
+    }
+
+    /**
+     * Type name of a value for error messages
+     */
+    static describeType(value) {
+        if (value === null) return 'null';
+        return Array.isArray(value) ? 'array' : typeof value;
+    }
+
+    /**
+     * Check enum, min, max and pattern constraints (min/max use botocore semantics)
+     */
+    static validateConstraints(node, value, fieldPath, errors) {
+        const { enum: allowed, min, max, pattern } = node.constraints;
+        
+        const violation = message => errors.push({ path: fieldPath, code: 'CONSTRAINT_VIOLATION', message });
+        
+        if (allowed && typeof value === 'string' && !allowed.includes(value)) {
+            violation(`Value "${value}" is not one of: ${allowed.join(', ')}`);
+        }
+        
+        let size = null;
+        let label = 'Value';
+        if (typeof value === 'string') {
+            size = value.length;
+            label = 'Length';
+        } else if (typeof value === 'number') {
+            size = value;
+        } else if (Array.isArray(value)) {
+            size = value.length;
+            label = 'Item count';
+        } else if (node.type === 'object' && !node.members) {
+            size = Object.keys(value).length;
+            label = 'Entry count';
+        }
+        
+        if (size !== null && typeof min === 'number' && size < min) {
+            violation(`${label} ${size} is less than minimum ${min}`);
+        }
+        if (size !== null && typeof max === 'number' && size > max) {
+            violation(`${label} ${size} is greater than maximum ${max}`);
+        }
+        
+        if (pattern && typeof value === 'string') {
+            const regex = RequestValidator.compilePattern(pattern);
+            if (regex && !regex.test(value)) {
+                violation(`Value does not match pattern ${pattern}`);
+            }
+        }
+    }
+
+    /**
+     * Compile a botocore pattern; patterns JavaScript cannot parse are skipped. Botocore patterns are
+     * not anchored (like AWS's own checks, a match anywhere in the value passes) unless they say so.
+     */
+    static compilePattern(pattern) {
+        for (const flags of ['u', '']) {
+            try {
+                return new RegExp(pattern, flags);
+            } catch (error) {
+                continue;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Join a member name onto a dotted value path
+     */
+    static joinPath(valuePath, memberName) {
+        return valuePath ? `${valuePath}.${memberName}` : memberName;
+    }
+}
+
+// Export for use in other modules
+export { RequestValidator };
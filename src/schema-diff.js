@@ -0,0 +1,430 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Boto3ServiceJsonParser } from './extractor.js';
+
+class SchemaDiff {
+    /**
+     * Compare two snapshots (aws-schemas trees or botocore data directories)
+     */
+    async compare(oldPath, newPath) {
+        const oldSnapshot = await this.loadSnapshot(oldPath);
+        const newSnapshot = await this.loadSnapshot(newPath);
+        
+        return this.compareSnapshots(oldSnapshot, newSnapshot);
+    }
+
+    /**
+     * Load a snapshot as flattened commands: { services: { [service]: { [command]: { docHash, parameters } } } }.
+     * A directory with an index.json is read as an aws-schemas tree, anything else as botocore data.
+     */
+    async loadSnapshot(snapshotPath) {
+        await fs.access(snapshotPath);
+        
+        const isSchemasTree = await fs.access(path.join(snapshotPath, 'index.json')).then(() => true, () => false);
+        
+        if (isSchemasTree) {
+            return { path: snapshotPath, source: 'schemas', services: await this.loadSchemasTree(snapshotPath) };
+        }
+        return { path: snapshotPath, source: 'botocore', services: await this.loadBotocoreData(snapshotPath) };
+    }
+
+    /**
+     * Read the latest-version commands of an extracted aws-schemas tree, whatever its output layout
+     */
+    async loadSchemasTree(schemasPath) {
+        const services = {};
+        const loader = Boto3ServiceJsonParser.createRuntimeLoader(schemasPath);
+        
+        for (const serviceName of await loader.getAvailableServices()) {
+            services[serviceName] = {};
+            for (const commandName of await loader.getServiceCommands(serviceName)) {
+                services[serviceName][commandName] = this.flattenCommand(await loader.readCommand(commandName, serviceName));
+            }
+        }
+        
+        return services;
+    }
+
+    /**
+     * Parse the latest API version of every service in a botocore data directory
+     */
+    async loadBotocoreData(botocoreDataPath) {
+        const services = {};
+        const parser = new Boto3ServiceJsonParser(botocoreDataPath);
+        const serviceInfos = await parser.findAllServices();
+        
+        for (const serviceInfo of serviceInfos) {
+            await parser.parseServiceJson(serviceInfo);
+            
+            services[serviceInfo.name] = {};
+            for (const [commandName, schema] of Object.entries(parser.schemas[serviceInfo.name] || {})) {
+                services[serviceInfo.name][commandName] = this.flattenCommand(schema);
+            }
+            
+            // Only the flattened view is needed, so release the parsed trees as we go
+            delete parser.schemas[serviceInfo.name];
+            delete parser.waiters[serviceInfo.name];
+        }
+        
+        return services;
+    }
+
+    /**
+     * Reduce a command schema to what the diff compares
+     */
+    flattenCommand(schema) {
+        return {
+            docHash: this.hashDocumentation(schema.documentation),
+            parameters: this.flattenParameters(schema.parameters)
+        };
+    }
+
+    /**
+     * Flatten a parameter tree into { [path]: { type, required, docHash, enum? } }.
+     * List items are addressed as Name[] and map values as Name{}, e.g. Tags[].Key.
+     */
+    flattenParameters(parameters, prefix = '', flattened = {}) {
+        for (const [memberName, node] of Object.entries(parameters || {})) {
+            const memberPath = prefix ? `${prefix}.${memberName}` : memberName;
+            flattened[memberPath] = {
+                type: this.describeType(node),
+                required: Boolean(node.required),
+                docHash: this.hashDocumentation(node.documentation)
+            };
+            if (node.constraints && node.constraints.enum) {
+                flattened[memberPath].enum = node.constraints.enum;
+            }
+            this.flattenChildren(node, memberPath, flattened);
+        }
+        
+        return flattened;
+    }
+
+    /**
+     * Documentation is only compared for equality, so keep a short hash instead of the text
+     */
+    hashDocumentation(documentation) {
+        if (!documentation) return null;
+        return crypto.createHash('sha1').update(documentation).digest('hex').substring(0, 12);
+    }
+
+    /**
+     * Flatten the members reachable through a node (recursive references stop the walk)
+     */
+    flattenChildren(node, nodePath, flattened) {
+        if (!node || node.recursive) return;
+        
+        if (node.members) {
+            this.flattenParameters(node.members, nodePath, flattened);
+        } else if (node.items) {
+            this.flattenChildren(node.items, `${nodePath}[]`, flattened);
+        } else if (node.value) {
+            this.flattenChildren(node.value, `${nodePath}{}`, flattened);
+        }
+    }
+
+    /**
+     * Describe a node's type, including item and value types (e.g. array<Tag>, map<AttributeValue>)
+     */
+    describeType(node) {
+        if (!node) return 'unknown';
+        
+        if (node.type === 'array' && node.items) {
+            return `array<${this.describeElement(node.items)}>`;
+        }
+        if (node.type === 'object' && !node.members && node.value) {
+            return `map<${this.describeElement(node.value)}>`;
+        }
+        
+        return node.type;
+    }
+
+    /**
+     * Structures are named by shape; everything else by type
+     */
+    describeElement(node) {
+        if (node.type === 'object' && (node.members || node.recursive) && node.shape) {
+            return node.shape;
+        }
+        return this.describeType(node);
+    }
+
+    /**
+     * Compare two loaded snapshots
+     */
+    compareSnapshots(oldSnapshot, newSnapshot) {
+        const oldServices = Object.keys(oldSnapshot.services);
+        const newServices = Object.keys(newSnapshot.services);
+        
+        const diff = {
+            old: oldSnapshot.path,
+            new: newSnapshot.path,
+            generatedAt: new Date().toISOString(),
+            summary: {
+                servicesAdded: 0,
+                servicesRemoved: 0,
+                servicesChanged: 0,
+                commandsAdded: 0,
+                commandsRemoved: 0,
+                commandsChanged: 0,
+                parametersAdded: 0,
+                parametersRemoved: 0,
+                typeChanges: 0,
+                requiredChanges: 0,
+                enumChanges: 0,
+                documentationChanges: 0
+            },
+            servicesAdded: newServices.filter(service => !(service in oldSnapshot.services)).sort(),
+            servicesRemoved: oldServices.filter(service => !(service in newSnapshot.services)).sort(),
+            services: {}
+        };
+        
+        diff.summary.servicesAdded = diff.servicesAdded.length;
+        diff.summary.servicesRemoved = diff.servicesRemoved.length;
+        
+        for (const serviceName of newServices.filter(service => service in oldSnapshot.services).sort()) {
+            const serviceDiff = this.compareService(oldSnapshot.services[serviceName], newSnapshot.services[serviceName]);
+            if (!serviceDiff) continue;
+            
+            diff.services[serviceName] = serviceDiff;
+            diff.summary.servicesChanged++;
+            diff.summary.commandsAdded += serviceDiff.commandsAdded.length;
+            diff.summary.commandsRemoved += serviceDiff.commandsRemoved.length;
+            
+            for (const commandDiff of Object.values(serviceDiff.commandsChanged)) {
+                diff.summary.commandsChanged++;
+                diff.summary.parametersAdded += commandDiff.parametersAdded.length;
+                diff.summary.parametersRemoved += commandDiff.parametersRemoved.length;
+                diff.summary.typeChanges += commandDiff.typeChanges.length;
+                diff.summary.requiredChanges += commandDiff.requiredChanges.length;
+                diff.summary.enumChanges += commandDiff.enumChanges.length;
+                diff.summary.documentationChanges += commandDiff.documentationChanges.length +
+                    (commandDiff.documentationChanged ? 1 : 0);
+            }
+        }
+        
+        return diff;
+    }
+
+    /**
+     * Compare the commands of one service (null when nothing changed)
+     */
+    compareService(oldCommands, newCommands) {
+        const serviceDiff = {
+            commandsAdded: Object.keys(newCommands).filter(command => !(command in oldCommands)).sort(),
+            commandsRemoved: Object.keys(oldCommands).filter(command => !(command in newCommands)).sort(),
+            commandsChanged: {}
+        };
+        
+        for (const commandName of Object.keys(newCommands).filter(command => command in oldCommands).sort()) {
+            const commandDiff = this.compareCommand(oldCommands[commandName], newCommands[commandName]);
+            if (commandDiff) {
+                serviceDiff.commandsChanged[commandName] = commandDiff;
+            }
+        }
+        
+        const hasChanges = serviceDiff.commandsAdded.length > 0 ||
+            serviceDiff.commandsRemoved.length > 0 ||
+            Object.keys(serviceDiff.commandsChanged).length > 0;
+        
+        return hasChanges ? serviceDiff : null;
+    }
+
+    /**
+     * Compare one flattened command (null when nothing changed)
+     */
+    compareCommand(oldCommand, newCommand) {
+        const oldParams = oldCommand.parameters;
+        const newParams = newCommand.parameters;
+        const added = Object.keys(newParams).filter(paramPath => !(paramPath in oldParams)).sort();
+        const removed = Object.keys(oldParams).filter(paramPath => !(paramPath in newParams)).sort();
+        const describe = (paramPath, param) => ({ path: paramPath, type: param.type, required: param.required });
+        
+        const commandDiff = {
+            // Members of an added or removed structure are implied by their parent
+            parametersAdded: this.topLevelPaths(added).map(paramPath => describe(paramPath, newParams[paramPath])),
+            parametersRemoved: this.topLevelPaths(removed).map(paramPath => describe(paramPath, oldParams[paramPath])),
+            typeChanges: [],
+            requiredChanges: [],
+            enumChanges: [],
+            documentationChanged: oldCommand.docHash !== newCommand.docHash,
+            documentationChanges: []
+        };
+        
+        for (const paramPath of Object.keys(newParams).filter(paramPath => paramPath in oldParams).sort()) {
+            const oldParam = oldParams[paramPath];
+            const newParam = newParams[paramPath];
+            
+            if (oldParam.type !== newParam.type) {
+                commandDiff.typeChanges.push({ path: paramPath, from: oldParam.type, to: newParam.type });
+            }
+            if (oldParam.required !== newParam.required) {
+                commandDiff.requiredChanges.push({
+                    path: paramPath,
+                    from: oldParam.required ? 'required' : 'optional',
+                    to: newParam.required ? 'required' : 'optional'
+                });
+            }
+            
+            const oldValues = oldParam.enum || [];
+            const newValues = newParam.enum || [];
+            const valuesAdded = newValues.filter(value => !oldValues.includes(value));
+            const valuesRemoved = oldValues.filter(value => !newValues.includes(value));
+            if (valuesAdded.length > 0 || valuesRemoved.length > 0) {
+                commandDiff.enumChanges.push({ path: paramPath, added: valuesAdded, removed: valuesRemoved });
+            }
+            
+            if (oldParam.docHash !== newParam.docHash) {
+                commandDiff.documentationChanges.push({ path: paramPath });
+            }
+        }
+        
+        const hasChanges = commandDiff.documentationChanged ||
+            Object.values(commandDiff).some(changes => Array.isArray(changes) && changes.length > 0);
+        return hasChanges ? commandDiff : null;
+    }
+
+    /**
+     * Drop paths nested under another path in the same (sorted) list
+     */
+    topLevelPaths(paths) {
+        return paths.filter(paramPath => !paths.some(parentPath =>
+            parentPath !== paramPath &&
+            ['.', '[]', '{}'].some(separator => paramPath.startsWith(parentPath + separator))
+        ));
+    }
+
+    /**
+     * Render a diff as a Markdown report
+     */
+    toMarkdown(diff) {
+        const { summary } = diff;
+        const lines = [
+            '# AWS Schema Diff',
+            '',
+            `Comparing \`${diff.old}\` → \`${diff.new}\``,
+            '',
+            '## Summary',
+            '',
+            '| Change | Count |',
+            '| --- | --- |',
+            `| Services added | ${summary.servicesAdded} |`,
+            `| Services removed | ${summary.servicesRemoved} |`,
+            `| Services changed | ${summary.servicesChanged} |`,
+            `| Commands added | ${summary.commandsAdded} |`,
+            `| Commands removed | ${summary.commandsRemoved} |`,
+            `| Commands changed | ${summary.commandsChanged} |`,
+            `| Parameters added | ${summary.parametersAdded} |`,
+            `| Parameters removed | ${summary.parametersRemoved} |`,
+            `| Type changes | ${summary.typeChanges} |`,
+            `| Optional/required changes | ${summary.requiredChanges} |`,
+            `| Enum changes | ${summary.enumChanges} |`,
+            `| Documentation changes | ${summary.documentationChanges} |`,
+            ''
+        ];
+        
+        if (diff.servicesAdded.length === 0 && diff.servicesRemoved.length === 0 && Object.keys(diff.services).length === 0) {
+            lines.push('No changes detected.', '');
+            return lines.join('\n');
+        }
+        
+        if (diff.servicesAdded.length > 0) {
+            lines.push('## Services Added', '', ...diff.servicesAdded.map(service => `- \`${service}\``), '');
+        }
+        if (diff.servicesRemoved.length > 0) {
+            lines.push('## Services Removed', '', ...diff.servicesRemoved.map(service => `- \`${service}\``), '');
+        }
+        
+        if (Object.keys(diff.services).length > 0) {
+            lines.push('## Changed Services', '');
+        }
+        
+        for (const [serviceName, serviceDiff] of Object.entries(diff.services)) {
+            lines.push(`### ${serviceName}`, '');
+            
+            if (serviceDiff.commandsAdded.length > 0) {
+                lines.push(`**Commands added:** ${serviceDiff.commandsAdded.map(command => `\`${command}\``).join(', ')}`, '');
+            }
+            if (serviceDiff.commandsRemoved.length > 0) {
+                lines.push(`**Commands removed:** ${serviceDiff.commandsRemoved.map(command => `\`${command}\``).join(', ')}`, '');
+            }
+            
+            for (const [commandName, commandDiff] of Object.entries(serviceDiff.commandsChanged)) {
+                lines.push(`#### ${commandName}`, '');
+                for (const param of commandDiff.parametersAdded) {
+                    lines.push(`- ➕ Added \`${param.path}\` (${param.type}${param.required ? ', required' : ''})`);
+                }
+                for (const param of commandDiff.parametersRemoved) {
+                    lines.push(`- ➖ Removed \`${param.path}\` (${param.type}${param.required ? ', required' : ''})`);
+                }
+                for (const change of commandDiff.typeChanges) {
+                    lines.push(`- 🔁 \`${change.path}\` type changed: ${change.from} → ${change.to}`);
+                }
+                for (const change of commandDiff.requiredChanges) {
+                    lines.push(`- ⚠️ \`${change.path}\` is now ${change.to} (was ${change.from})`);
+                }
+                for (const change of commandDiff.enumChanges) {
+                    const values = [
+                        ...change.added.map(value => `+${value}`),
+                        ...change.removed.map(value => `-${value}`)
+                    ];
+                    lines.push(`- 🔢 \`${change.path}\` enum values changed: ${values.join(', ')}`);
+                }
+                if (commandDiff.documentationChanged) {
+                    lines.push('- 📝 Command documentation updated');
+                }
+                for (const change of commandDiff.documentationChanges) {
+                    lines.push(`- 📝 \`${change.path}\` documentation updated`);
+                }
+                lines.push('');
+            }
+        }
+        
+        return lines.join('\n');
+    }
+}
+
+// Export for use in other modules
+export { SchemaDiff };
+
+// CLI usage
+async function main() {
+    const [oldPath, newPath] = process.argv.slice(2);
+    const outputPath = process.env.DIFF_OUTPUT_PATH || './schema-diff';
+
+    if (!oldPath || !newPath) {
+        console.error('Usage: node src/schema-diff.js <old-snapshot> <new-snapshot>');
+        console.error('Each snapshot is an aws-schemas directory or a botocore data directory.');
+        process.exit(1);
+    }
+
+    console.log('🔀 Starting schema diff...\n');
+    console.log(`📁 Old: ${oldPath}`);
+    console.log(`📁 New: ${newPath}\n`);
+
+    const schemaDiff = new SchemaDiff();
+    const diff = await schemaDiff.compare(oldPath, newPath);
+
+    await fs.writeFile(`${outputPath}.json`, JSON.stringify(diff, null, 2), 'utf8');
+    await fs.writeFile(`${outputPath}.md`, schemaDiff.toMarkdown(diff), 'utf8');
+
+    console.log('\n📊 DIFF SUMMARY:');
+    console.log(`🏗️  Services: +${diff.summary.servicesAdded} / -${diff.summary.servicesRemoved} (${diff.summary.servicesChanged} changed)`);
+    console.log(`⚙️  Commands: +${diff.summary.commandsAdded} / -${diff.summary.commandsRemoved} (${diff.summary.commandsChanged} changed)`);
+    console.log(`📋 Parameters: +${diff.summary.parametersAdded} / -${diff.summary.parametersRemoved}`);
+    console.log(`🔁 Type changes: ${diff.summary.typeChanges}`);
+    console.log(`⚠️  Optional/required changes: ${diff.summary.requiredChanges}`);
+    console.log(`🔢 Enum changes: ${diff.summary.enumChanges}`);
+    console.log(`📝 Documentation changes: ${diff.summary.documentationChanges}`);
+    console.log(`\n📄 Reports: ${outputPath}.md, ${outputPath}.json`);
+}
+
+// Run if called directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch(error => {
+        console.error('❌ Schema diff failed:', error.message);
+        process.exit(1);
+    });
+}
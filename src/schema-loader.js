@@ -0,0 +1,521 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { OutputLayout } from './output-layout.js';
+import { SearchIndex } from './search-index.js';
+
+// Service bundles read by the bundle layout are large, so only a few are kept
+const BUNDLE_CACHE_SIZE = 8;
+
+// Logger used when logging is turned off (logger: null)
+const SILENT_LOGGER = {
+    warn() {},
+    error() {}
+};
+
+/**
+ * Least-recently-used cache on top of a Map (which keeps insertion order)
+ */
+class LruCache {
+    constructor(maxSize) {
+        this.maxSize = maxSize;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) {
+            this.misses++;
+            return undefined;
+        }
+        
+        // Move the entry to the most recently used end
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        this.hits++;
+        return value;
+    }
+
+    set(key, value) {
+        if (this.maxSize <= 0) {
+            return;
+        }
+        
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * Runtime loader for an extracted schemas directory.
+ *
+ * index.json is read once and turned into a command name → services index, so looking a command
+ * up never scans service directories. Parsed commands and summaries are kept in an LRU cache
+ * (and the last few service bundles in a separate one). Options:
+ *
+ * - cacheSize: commands and summaries kept in the cache (default 1000, 0 turns caching off)
+ * - preload: services whose commands are read into the cache on the first command lookup (or by
+ *   preload()), `true` for all of them
+ * - logger: where warnings and errors go (default console, null turns logging off); needs warn() and error()
+ *
+ * Call reload() after re-extracting into the same directory.
+ */
+class SchemaLoader {
+    constructor(schemasPath = './aws-schemas', { cacheSize = 1000, preload = [], logger } = {}) {
+        if (!Number.isInteger(cacheSize) || cacheSize < 0) {
+            throw new Error(`cacheSize must be a non-negative integer, got ${cacheSize}`);
+        }
+        
+        this.schemasPath = schemasPath;
+        this.options = { cacheSize, preload };
+        this.logger = logger === null ? SILENT_LOGGER : (logger || console);
+        this.cache = new LruCache(cacheSize);
+        this.bundles = new LruCache(Math.min(cacheSize, BUNDLE_CACHE_SIZE));
+        this.index = null; // Promise of the parsed index.json
+        this.commandIndex = null; // Command name -> services that have it (latest API versions)
+        this.streamIndex = null; // Promise of the position of each NDJSON record by service/apiVersion/command
+        this.preloaded = null; // Promise of the preload option's preload(), started by the first command lookup
+        this.searchIndex = null; // Promise of the SearchIndex written at extraction time
+    }
+
+    async loadServiceIndex() {
+        if (!this.index) {
+            this.index = fs.readFile(path.join(this.schemasPath, 'index.json'), 'utf8')
+                .then(data => {
+                    const index = JSON.parse(data);
+                    this.commandIndex = SchemaLoader.buildCommandIndex(index);
+                    return index;
+                });
+        }
+        
+        try {
+            return await this.index;
+        } catch (error) {
+            // Not cached, so the index is picked up once it has been extracted
+            this.index = null;
+            this.logger.error('Failed to load service index:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Map each command name to the services that have it
+     */
+    static buildCommandIndex(index) {
+        const commandIndex = new Map();
+        
+        for (const [serviceName, serviceInfo] of Object.entries(index.services || {})) {
+            for (const commandName of serviceInfo.commands || []) {
+                if (!commandIndex.has(commandName)) {
+                    commandIndex.set(commandName, []);
+                }
+                commandIndex.get(commandName).push(serviceName);
+            }
+        }
+        
+        return commandIndex;
+    }
+
+    /**
+     * Forget index.json and every cached schema (for output that was re-extracted)
+     */
+    reload() {
+        this.index = null;
+        this.commandIndex = null;
+        this.streamIndex = null;
+        this.searchIndex = null;
+        this.preloaded = null;
+        this.cache.clear();
+        this.bundles.clear();
+    }
+
+    /**
+     * Read the commands of the preload services into the cache
+     */
+    async preload(services = this.options.preload) {
+        // Preloading the preload option's services up front stands in for preloading on the first lookup
+        if (services === this.options.preload && !this.preloaded) {
+            this.preloaded = Promise.resolve();
+        }
+        
+        const startTime = Date.now();
+        const available = await this.getAvailableServices();
+        const serviceNames = services === true ? available : (services || []).filter(name => available.includes(name));
+        let commandCount = 0;
+        
+        for (const serviceName of serviceNames) {
+            for (const commandName of await this.getServiceCommands(serviceName)) {
+                await this.loadCommand(commandName, serviceName);
+                commandCount++;
+            }
+        }
+        
+        if (commandCount > this.options.cacheSize) {
+            this.logger.warn(`⚠️  Preloaded ${commandCount} commands into a cache of ${this.options.cacheSize}, only the last ones are kept`);
+        }
+        
+        return { services: serviceNames.length, commands: commandCount, durationMs: Date.now() - startTime };
+    }
+
+    /**
+     * Preload the services of the preload option, once (until reload())
+     */
+    async applyPreload() {
+        const { preload } = this.options;
+        if (!this.preloaded && (preload === true || (Array.isArray(preload) && preload.length > 0))) {
+            // A failed preload only costs the cache, so lookups go on without it
+            this.preloaded = this.preload().catch(error => {
+                this.logger.warn(`⚠️  Preloading failed, commands are read on demand: ${error.message}`);
+            });
+        }
+        return this.preloaded;
+    }
+
+    getCacheStats() {
+        return {
+            size: this.cache.size,
+            maxSize: this.cache.maxSize,
+            hits: this.cache.hits,
+            misses: this.cache.misses
+        };
+    }
+
+    /**
+     * Return a cached value, or compute, cache and return it
+     */
+    async cached(key, load, cache = this.cache) {
+        const value = cache.get(key);
+        if (value !== undefined) {
+            return value;
+        }
+        
+        const loaded = await load();
+        if (loaded !== null && loaded !== undefined) {
+            cache.set(key, loaded);
+        }
+        return loaded;
+    }
+
+    async getAvailableServices() {
+        const index = await this.loadServiceIndex();
+        return index ? Object.keys(index.services) : [];
+    }
+
+    async getApiVersions(serviceName) {
+        const index = await this.loadServiceIndex();
+        const serviceInfo = index && index.services[serviceName];
+        return serviceInfo && serviceInfo.apiVersions ? serviceInfo.apiVersions : [];
+    }
+
+    async getServiceDir(serviceName, apiVersion = null) {
+        if (!apiVersion) {
+            return path.join(this.schemasPath, serviceName);
+        }
+        
+        // The latest API version is stored in the service folder itself
+        const apiVersions = await this.getApiVersions(serviceName);
+        if (apiVersions[0] === apiVersion) {
+            return path.join(this.schemasPath, serviceName);
+        }
+        if (!apiVersions.includes(apiVersion)) {
+            throw new Error(`API version ${apiVersion} of ${serviceName} was not extracted`);
+        }
+        return path.join(this.schemasPath, serviceName, apiVersion);
+    }
+
+    async getLayout() {
+        return OutputLayout.fromIndex(await this.loadServiceIndex());
+    }
+
+    /**
+     * Index an NDJSON layout's stream: service/apiVersion/command -> { line, offset, length }.
+     * Only positions are kept; records are read on demand and cached like other commands.
+     */
+    async loadStreamIndex(layout) {
+        if (!this.streamIndex) {
+            // Concurrent lookups share one read of the stream
+            this.streamIndex = (async () => {
+                const streamIndex = new Map();
+                let line = 0;
+                for await (const { record, offset, length } of OutputLayout.readStreamEntries(path.join(this.schemasPath, layout.streamFile))) {
+                    streamIndex.set(`${record.service}/${record.apiVersion}/${record.command}`, { line: line++, offset, length });
+                }
+                return streamIndex;
+            })();
+            // A failed read is retried next time
+            this.streamIndex.catch(() => { this.streamIndex = null; });
+        }
+        return this.streamIndex;
+    }
+
+    /**
+     * Split a stream record into { command, jsonSchema }: records carry the command's JSON Schema
+     * inline, and commands are returned without it, like other layouts
+     */
+    static splitStreamRecord(record) {
+        const { jsonSchema = null, ...command } = record;
+        return { command, jsonSchema };
+    }
+
+    /**
+     * Read one NDJSON record as { command, jsonSchema } (null when the stream does not have it).
+     * An uncompressed stream is read at the record's offset. A gzipped one cannot be, so a miss reads
+     * it from the start, and the records after the one asked for fill half the cache for reads in
+     * stream order.
+     */
+    async readStreamEntry(key, layout) {
+        const position = (await this.loadStreamIndex(layout)).get(key);
+        if (!position) {
+            return null;
+        }
+        
+        return this.cached(`stream:${key}`, async () => {
+            const streamPath = path.join(this.schemasPath, layout.streamFile);
+            if (!layout.compression) {
+                return SchemaLoader.splitStreamRecord(await OutputLayout.readStreamRecord(streamPath, position.offset, position.length));
+            }
+            
+            const lastLine = position.line + Math.floor(this.cache.maxSize / 2);
+            let entry = null;
+            let line = 0;
+            for await (const record of OutputLayout.readStream(streamPath)) {
+                if (line === position.line) {
+                    entry = SchemaLoader.splitStreamRecord(record);
+                } else if (line > position.line) {
+                    this.cache.set(`stream:${record.service}/${record.apiVersion}/${record.command}`, SchemaLoader.splitStreamRecord(record));
+                }
+                if (++line > lastLine) break;
+            }
+            return entry;
+        });
+    }
+
+    async loadBundle(serviceName, apiVersion, layout) {
+        return this.cached(`${serviceName}/${apiVersion || 'latest'}`, async () => {
+            const serviceDir = await this.getServiceDir(serviceName, apiVersion);
+            return OutputLayout.readJson(path.join(serviceDir, layout.bundleFile));
+        }, this.bundles);
+    }
+
+    // Read one command whatever the layout; throws (code COMMAND_NOT_FOUND) when it is missing
+    async readCommand(commandName, serviceName, apiVersion = null) {
+        await this.applyPreload();
+        return this.loadCommand(commandName, serviceName, apiVersion);
+    }
+
+    // readCommand without the preload option, which preload() itself reads through
+    async loadCommand(commandName, serviceName, apiVersion = null) {
+        const index = await this.loadServiceIndex();
+        const serviceInfo = index && index.services[serviceName];
+        const latestVersion = serviceInfo && serviceInfo.apiVersion;
+        const version = apiVersion || latestVersion;
+        
+        // index.json lists the commands of each latest API version, so misses need no read
+        const listed = !index || (serviceInfo && (version !== latestVersion || (serviceInfo.commands || []).includes(commandName)));
+        const layout = listed ? await this.getLayout() : null;
+        let schema = null;
+        
+        if (listed && layout.format === 'ndjson') {
+            // Stream records are cached by readStreamEntry, together with their JSON Schema
+            const entry = await this.readStreamEntry(`${serviceName}/${version}/${commandName}`, layout);
+            schema = entry && entry.command;
+        } else if (listed) {
+            schema = await this.cached(`command:${serviceName}/${version}/${commandName}`, async () => {
+                if (layout.format === 'bundle') {
+                    const bundle = await this.loadBundle(serviceName, apiVersion, layout);
+                    return bundle.commands[commandName];
+                }
+                
+                const serviceDir = await this.getServiceDir(serviceName, apiVersion);
+                return fs.readFile(path.join(serviceDir, `${commandName}.json`), 'utf8')
+                    .then(data => JSON.parse(data), error => {
+                        if (error.code !== 'ENOENT') throw error;
+                        return null;
+                    });
+            });
+        }
+        
+        if (!schema) {
+            const error = new Error(`Command ${commandName} not found in ${serviceName}`);
+            error.code = 'COMMAND_NOT_FOUND';
+            throw error;
+        }
+        return schema;
+    }
+
+    /**
+     * Read the JSON Schema of a command's input (extractions with jsonSchema); throws (code
+     * JSON_SCHEMA_NOT_FOUND) when there is none
+     */
+    async getJsonSchema(commandName, serviceName, apiVersion = null) {
+        const layout = await this.getLayout();
+        let jsonSchema = null;
+        
+        if (layout.format === 'bundle') {
+            const bundle = await this.loadBundle(serviceName, apiVersion, layout);
+            jsonSchema = bundle.jsonSchemas ? bundle.jsonSchemas[commandName] : null;
+        } else if (layout.format === 'ndjson') {
+            const version = apiVersion || (await this.getApiVersions(serviceName))[0];
+            const entry = await this.readStreamEntry(`${serviceName}/${version}/${commandName}`, layout);
+            jsonSchema = entry ? entry.jsonSchema : null;
+        } else {
+            const serviceDir = await this.getServiceDir(serviceName, apiVersion);
+            jsonSchema = await fs.readFile(path.join(serviceDir, `${commandName}.schema.json`), 'utf8')
+                .then(data => JSON.parse(data), error => {
+                    if (error.code !== 'ENOENT') throw error;
+                    return null;
+                });
+        }
+        
+        if (!jsonSchema) {
+            const error = new Error(`No JSON Schema for ${serviceName}/${commandName}`);
+            error.code = 'JSON_SCHEMA_NOT_FOUND';
+            throw error;
+        }
+        return jsonSchema;
+    }
+
+    async getServiceSummary(serviceName, apiVersion = null) {
+        try {
+            return await this.cached(`summary:${serviceName}/${apiVersion || 'latest'}`, async () => {
+                const layout = await this.getLayout();
+                
+                if (layout.format === 'bundle') {
+                    const bundle = await this.loadBundle(serviceName, apiVersion, layout);
+                    return bundle.summary;
+                }
+                
+                const serviceDir = await this.getServiceDir(serviceName, apiVersion);
+                const data = await fs.readFile(path.join(serviceDir, '_service-summary.json'), 'utf8');
+                return JSON.parse(data);
+            });
+        } catch (error) {
+            this.logger.error(`Failed to load ${serviceName} summary:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Read a command, from the given service or from the only service that has it. Throws on every
+     * failure: code COMMAND_NOT_FOUND when no service has it, AMBIGUOUS_COMMAND (with the services)
+     * when several do and no service is given, and the read error when a file cannot be read
+     */
+    async getCommandSchema(commandName, serviceName = null, apiVersion = null) {
+        // If service name provided, look directly
+        if (serviceName) {
+            return this.readCommand(commandName, serviceName, apiVersion);
+        }
+        
+        // Otherwise, the command index tells which services have it
+        await this.loadServiceIndex();
+        const services = (this.commandIndex && this.commandIndex.get(commandName)) || [];
+        
+        // Same command name in several services (e.g. TagResourceCommand) - caller must choose
+        if (services.length > 1) {
+            const error = new Error(`Command ${commandName} exists in multiple services (${services.join(', ')}), specify a service name`);
+            error.code = 'AMBIGUOUS_COMMAND';
+            error.services = services;
+            throw error;
+        }
+        
+        if (services.length === 0) {
+            const error = new Error(`Command ${commandName} not found in any service`);
+            error.code = 'COMMAND_NOT_FOUND';
+            throw error;
+        }
+        
+        return this.readCommand(commandName, services[0], apiVersion);
+    }
+
+    /**
+     * Required and optional parameter names of a command (throws like getCommandSchema)
+     */
+    async getCommandParameters(commandName, serviceName = null, apiVersion = null) {
+        const schema = await this.getCommandSchema(commandName, serviceName, apiVersion);
+        
+        return {
+            required: schema.summary.required.map(p => `${p} Required`),
+            optional: schema.summary.optional.map(p => `${p} Optional`),
+            schema
+        };
+    }
+
+    async getServiceCommands(serviceName, apiVersion = null) {
+        const index = await this.loadServiceIndex();
+        const serviceInfo = index && index.services[serviceName];
+        
+        // The latest API version's commands are in index.json
+        if (serviceInfo && serviceInfo.commands && (!apiVersion || apiVersion === serviceInfo.apiVersion)) {
+            return serviceInfo.commands;
+        }
+        
+        const summary = await this.getServiceSummary(serviceName, apiVersion);
+        return summary ? Object.keys(summary.commands) : [];
+    }
+
+    /**
+     * Load the search index index.json points to (throws with code SEARCH_INDEX_MISSING without one)
+     */
+    async loadSearchIndex() {
+        if (!this.searchIndex) {
+            this.searchIndex = this.loadServiceIndex().then(async index => {
+                if (!index || !index.search) {
+                    const error = new Error(`No search index in ${this.schemasPath} - extract without SEARCH_INDEX=false`);
+                    error.code = 'SEARCH_INDEX_MISSING';
+                    throw error;
+                }
+                return SearchIndex.fromJSON(await OutputLayout.readJson(path.join(this.schemasPath, index.search.path)));
+            });
+            // A failed load is retried next time
+            this.searchIndex.catch(() => { this.searchIndex = null; });
+        }
+        return this.searchIndex;
+    }
+
+    /**
+     * Ranked search across command names, parameter names and documentation, e.g.
+     * search('encrypt snapshot parameter:KmsKeyId', { service: 'ec2', limit: 10 }) (see SearchIndex.search)
+     */
+    async search(query, options = {}) {
+        const searchIndex = await this.loadSearchIndex();
+        return searchIndex.search(query, options);
+    }
+
+    async searchCommands(searchTerm) {
+        const results = [];
+        const services = await this.getAvailableServices();
+        
+        for (const serviceName of services) {
+            const commands = await this.getServiceCommands(serviceName);
+            
+            for (const commandName of commands) {
+                if (commandName.toLowerCase().includes(searchTerm.toLowerCase())) {
+                    results.push({
+                        command: commandName,
+                        service: serviceName
+                    });
+                }
+            }
+        }
+        
+        return results;
+    }
+}
+
+// Export for use in other modules
+export { SchemaLoader };
@@ -0,0 +1,319 @@
+// Version of the search index file format
+const INDEX_VERSION = 1;
+
+// Fields of a command document and how much a match in each counts
+const FIELD_WEIGHTS = { name: 3, parameter: 2, doc: 1 };
+
+// Query filters (field:value) and the field they search; service filters by service name instead
+const FILTER_FIELDS = { command: 'name', name: 'name', parameter: 'parameter', param: 'parameter', doc: 'doc' };
+
+// Words too common to help ranking
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'command', 'commands', 'do', 'does', 'for', 'from',
+    'how', 'i', 'if', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'which', 'what', 'with', 'you', 'your'
+]);
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Query terms also match longer terms they start with (encrypt → encrypted), at this weight
+const PREFIX_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 3;
+
+/**
+ * Ranked full-text search over extracted commands.
+ *
+ * Every command is a document with three fields: name (command and operation name), parameter
+ * (parameter names, nested members included) and doc (the operation documentation without HTML).
+ * The index file stores each document's term counts; the inverted index is built on load.
+ *
+ * Queries are free text plus field filters, e.g. `encrypt snapshot service:ec2 parameter:KmsKeyId`.
+ * Filters must match; free terms are optional but documents matching more of them rank higher.
+ * Identifiers are also split on camel case, so `KmsKeyId` matches `kms`, `key` and `id`.
+ */
+class SearchIndex {
+    constructor(documents = []) {
+        this.documents = documents;
+        this.postings = null; // Field -> { terms: Map(term -> document indexes), sortedTerms, averageLength }
+    }
+
+    /**
+     * Lowercase terms of a text: its words and, with parts, the camel-case parts of each word
+     */
+    static tokenize(text, { parts = true } = {}) {
+        const terms = [];
+        const words = String(text || '').replace(/<[^>]*>/g, ' ').split(/[^A-Za-z0-9]+/).filter(Boolean);
+        
+        for (const word of words) {
+            const lower = word.toLowerCase();
+            if (!STOP_WORDS.has(lower)) {
+                terms.push(lower);
+            }
+            
+            const wordParts = parts ? word.match(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|[0-9]+/g) || [] : [];
+            if (wordParts.length > 1) {
+                terms.push(...wordParts.map(part => part.toLowerCase()).filter(part => !STOP_WORDS.has(part)));
+            }
+        }
+        
+        return terms;
+    }
+
+    /**
+     * Count how often each term occurs
+     */
+    static countTerms(terms) {
+        const counts = Object.create(null); // Terms such as "constructor" are plain keys
+        for (const term of terms) {
+            counts[term] = (counts[term] || 0) + 1;
+        }
+        return counts;
+    }
+
+    /**
+     * Names of the parameters of a command and of their nested members
+     */
+    static collectParameterNames(parameters, names = new Set()) {
+        for (const [name, param] of Object.entries(parameters || {})) {
+            names.add(name);
+            for (const nested of [param, param.items, param.value]) {
+                if (nested && nested.members) {
+                    SearchIndex.collectParameterNames(nested.members, names);
+                }
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Build the search document of a command file
+     */
+    static buildDocument(commandData) {
+        const nameTerms = [...SearchIndex.tokenize(commandData.command), commandData.operation.toLowerCase()];
+        const parameterNames = [...SearchIndex.collectParameterNames(commandData.parameters)];
+        
+        return {
+            service: commandData.service,
+            command: commandData.command,
+            operation: commandData.operation,
+            apiVersion: commandData.apiVersion,
+            terms: {
+                name: SearchIndex.countTerms(nameTerms),
+                parameter: SearchIndex.countTerms(parameterNames.flatMap(name => SearchIndex.tokenize(name))),
+                doc: SearchIndex.countTerms(SearchIndex.tokenize(commandData.documentation))
+            }
+        };
+    }
+
+    static fromJSON(data) {
+        if (!data || data.version !== INDEX_VERSION) {
+            throw new Error(`Unsupported search index version: ${data && data.version} (expected ${INDEX_VERSION}), re-run the extraction`);
+        }
+        return new SearchIndex(data.documents);
+    }
+
+    toJSON() {
+        return {
+            version: INDEX_VERSION,
+            fields: FIELD_WEIGHTS,
+            documents: this.documents
+        };
+    }
+
+    /**
+     * Build the inverted index (once) from the documents' term counts
+     */
+    getPostings() {
+        if (!this.postings) {
+            this.postings = {};
+            
+            for (const field of Object.keys(FIELD_WEIGHTS)) {
+                const terms = new Map();
+                let totalLength = 0;
+                
+                this.documents.forEach((document, i) => {
+                    for (const [term, count] of Object.entries(document.terms[field] || {})) {
+                        if (!terms.has(term)) {
+                            terms.set(term, []);
+                        }
+                        terms.get(term).push(i);
+                        totalLength += count;
+                    }
+                });
+                
+                this.postings[field] = {
+                    terms,
+                    sortedTerms: [...terms.keys()].sort(),
+                    averageLength: totalLength / Math.max(this.documents.length, 1)
+                };
+            }
+        }
+        return this.postings;
+    }
+
+    /**
+     * Indexed terms of a field a query term matches: itself, then terms it is a prefix of
+     */
+    expandTerm(field, term) {
+        const { terms, sortedTerms } = this.getPostings()[field];
+        const expansions = terms.has(term) ? [{ term, weight: 1 }] : [];
+        
+        if (term.length >= MIN_PREFIX_LENGTH) {
+            // Binary search for the first term after the query term, then walk while the prefix matches
+            let low = 0;
+            let high = sortedTerms.length;
+            while (low < high) {
+                const middle = (low + high) >> 1;
+                if (sortedTerms[middle] <= term) low = middle + 1;
+                else high = middle;
+            }
+            for (let i = low; i < sortedTerms.length && sortedTerms[i].startsWith(term); i++) {
+                expansions.push({ term: sortedTerms[i], weight: PREFIX_WEIGHT });
+            }
+        }
+        
+        return expansions;
+    }
+
+    /**
+     * BM25 score of a query term in one field of a document (best of its expansions)
+     */
+    scoreTerm(documentIndex, field, expansions) {
+        const { terms, averageLength } = this.getPostings()[field];
+        const fieldTerms = this.documents[documentIndex].terms[field] || {};
+        const length = Object.values(fieldTerms).reduce((sum, count) => sum + count, 0);
+        let best = 0;
+        
+        for (const { term, weight } of expansions) {
+            const count = Object.hasOwn(fieldTerms, term) ? fieldTerms[term] : 0;
+            if (!count) continue;
+            
+            const documentFrequency = terms.get(term).length;
+            const idf = Math.log(1 + (this.documents.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+            const tf = (count * (BM25_K1 + 1)) / (count + BM25_K1 * (1 - BM25_B + BM25_B * length / (averageLength || 1)));
+            best = Math.max(best, weight * idf * tf);
+        }
+        
+        return best * FIELD_WEIGHTS[field];
+    }
+
+    /**
+     * Split a query into free text and field filters (field:value or field:"several words")
+     */
+    static parseQuery(query) {
+        const parsed = { text: [], service: [], filters: [] };
+        const pattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+        let match;
+        
+        while ((match = pattern.exec(String(query || ''))) !== null) {
+            const key = (match[1] || match[3] || '').toLowerCase();
+            const value = match[2] !== undefined ? match[2] : match[4];
+            
+            if (key === 'service') {
+                parsed.service.push(value.toLowerCase());
+            } else if (FILTER_FIELDS[key]) {
+                parsed.filters.push({ field: FILTER_FIELDS[key], value });
+            } else {
+                parsed.text.push(match[0].replace(/"/g, ''));
+            }
+        }
+        
+        return parsed;
+    }
+
+    /**
+     * Ranked search. Options add filters to the query: service (name or list), command, parameter,
+     * doc, plus limit (default 20). Returns { service, command, operation, apiVersion, score, fields }.
+     */
+    search(query, { service = null, command = null, parameter = null, doc = null, limit = 20 } = {}) {
+        const parsed = SearchIndex.parseQuery(query);
+        const services = [...parsed.service, ...[].concat(service || []).map(name => name.toLowerCase())];
+        const filters = [
+            ...parsed.filters,
+            ...Object.entries({ name: command, parameter, doc })
+                .filter(([, value]) => value)
+                .map(([field, value]) => ({ field, value }))
+        ];
+        
+        // Filter terms are whole words (not split on camel case) that must match in their field, as a term or
+        // the prefix of one (parameter:kms matches KmsKeyId); a filter without any (e.g. doc:the, only stop
+        // words) keeps one term that matches nothing rather than being dropped
+        const filterTerms = filters.flatMap(({ field, value }) => {
+            const terms = SearchIndex.tokenize(value, { parts: false });
+            return terms.length > 0
+                ? terms.map(term => ({ field, expansions: this.expandTerm(field, term) }))
+                : [{ field, expansions: [] }];
+        });
+        const freeTerms = [...new Set(SearchIndex.tokenize(parsed.text.join(' ')))].map(term =>
+            Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [field, this.expandTerm(field, term)])));
+        
+        if (freeTerms.length === 0 && filterTerms.length === 0 && services.length === 0) {
+            return [];
+        }
+        
+        const postings = this.getPostings();
+        const documentsWith = (field, expansions) => new Set(expansions.flatMap(({ term }) => postings[field].terms.get(term)));
+        
+        // Candidates: documents matching every filter term, and at least one free term if there are any
+        let candidates = null;
+        for (const { field, expansions } of filterTerms) {
+            const matching = documentsWith(field, expansions);
+            candidates = candidates ? new Set([...candidates].filter(i => matching.has(i))) : matching;
+        }
+        if (freeTerms.length > 0) {
+            const matching = new Set(freeTerms.flatMap(fieldExpansions =>
+                Object.entries(fieldExpansions).flatMap(([field, expansions]) => [...documentsWith(field, expansions)])));
+            candidates = candidates ? new Set([...candidates].filter(i => matching.has(i))) : matching;
+        }
+        if (!candidates) {
+            candidates = new Set(this.documents.keys());
+        }
+        
+        const results = [];
+        for (const i of candidates) {
+            const document = this.documents[i];
+            if (services.length > 0 && !services.includes(document.service.toLowerCase())) continue;
+            
+            const fields = new Set();
+            let score = 0;
+            let matchedTerms = 0;
+            
+            for (const { field, expansions } of filterTerms) {
+                const termScore = this.scoreTerm(i, field, expansions);
+                score += termScore;
+                if (termScore > 0) fields.add(field);
+            }
+            for (const fieldExpansions of freeTerms) {
+                let termScore = 0;
+                for (const [field, expansions] of Object.entries(fieldExpansions)) {
+                    const fieldScore = this.scoreTerm(i, field, expansions);
+                    termScore += fieldScore;
+                    if (fieldScore > 0) fields.add(field);
+                }
+                score += termScore;
+                if (termScore > 0) matchedTerms++;
+            }
+            
+            // Documents matching more of the free terms rank higher
+            if (freeTerms.length > 0) {
+                score *= matchedTerms / freeTerms.length;
+            }
+            
+            results.push({
+                service: document.service,
+                command: document.command,
+                operation: document.operation,
+                apiVersion: document.apiVersion,
+                score: Math.round(score * 1000) / 1000,
+                fields: Object.keys(FIELD_WEIGHTS).filter(field => fields.has(field))
+            });
+        }
+        
+        results.sort((a, b) => b.score - a.score || a.service.localeCompare(b.service) || a.command.localeCompare(b.command));
+        return results.slice(0, limit);
+    }
+}
+
+// Export for use in other modules
+export { SearchIndex };
@@ -1,10 +1,23 @@
 import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
 import { SchemaValidator } from './validator.js';
+import { RequestValidator } from './request-validator.js';
+import { TypeScriptGenerator } from './typescript-generator.js';
+import { ZodGenerator } from './zod-generator.js';
+import { SchemaDiff } from './schema-diff.js';
+import { ChangeClassifier } from './change-classifier.js';
+import { ExtractionFilter } from './filter.js';
+import { OutputLayout } from './output-layout.js';
+import { SearchIndex } from './search-index.js';
+import * as library from './index.js';
 
 class SchemaTestSuite {
     constructor(schemasPath = './aws-schemas') {
         this.schemasPath = schemasPath;
+        this.loader = library.createSchemaLoader(schemasPath); // Reads commands whatever the output layout
         this.testResults = [];
         this.stats = {
             totalTests: 0,
@@ -29,6 +42,31 @@ class SchemaTestSuite {
             await this.testSchemaValidation();
             await this.testParameterConsistency();
             await this.testKnownCommands();
+            await this.testNestedParameters();
+            await this.testJsonSchemaOutput();
+            await this.testParameterConstraints();
+            await this.testOutputShapes();
+            await this.testErrorShapes();
+            await this.testPagination();
+            await this.testWaiters();
+            await this.testExamples();
+            await this.testHttpBindings();
+            await this.testCommandCollisions();
+            await this.testApiVersions();
+            await this.testRequestValidation();
+            await this.testTypeScriptGeneration();
+            await this.testZodGeneration();
+            await this.testSchemaDiff();
+            await this.testChangeClassification();
+            await this.testLibraryEntry();
+            await this.testExtractionFilter();
+            await this.testConcurrencyOrdering();
+            await this.testIncrementalManifest();
+            await this.testReproducibleOutput();
+            await this.testOutputLayouts();
+            await this.testLayoutEquivalence();
+            await this.testSchemaLoaderCache();
+            await this.testRankedSearch();
             
             // Performance tests
             await this.testLoadingPerformance();
@@ -134,9 +172,7 @@ class SchemaTestSuite {
             this.assert(services.length > 0, 'Should have available services');
             
             const testService = services[0];
-            const summaryPath = path.join(this.schemasPath, testService, '_service-summary.json');
-            const summaryContent = await fs.readFile(summaryPath, 'utf8');
-            const summaryData = JSON.parse(summaryContent);
+            const summaryData = await this.loadServiceSummary(testService);
             
             this.assert(summaryData.service === testService, 'Summary service name should match directory');
             this.assert(summaryData.totalCommands > 0, 'Should have commands in summary');
@@ -146,9 +182,7 @@ class SchemaTestSuite {
             this.assert(commandNames.length > 0, 'Should have command names');
             
             const testCommand = commandNames[0];
-            const commandPath = path.join(this.schemasPath, testService, `${testCommand}.json`);
-            const commandContent = await fs.readFile(commandPath, 'utf8');
-            const commandData = JSON.parse(commandContent);
+            const commandData = await this.loadCommand(testService, testCommand);
             
             this.assert(commandData.command === testCommand, 'Command name should match file');
             this.assert(commandData.service === testService, 'Command service should match directory');
@@ -227,9 +261,7 @@ class SchemaTestSuite {
                 for (const command of commands.slice(0, 5)) { // Test first 5 commands per service
                     totalCommands++;
                     
-                    const commandPath = path.join(this.schemasPath, service, `${command}.json`);
-                    const commandContent = await fs.readFile(commandPath, 'utf8');
-                    const commandData = JSON.parse(commandContent);
+                    const commandData = await this.loadCommand(service, command);
                     
                     // Check parameter consistency
                     const allParams = [...commandData.requiredParameters, ...commandData.optionalParameters];
@@ -281,9 +313,7 @@ class SchemaTestSuite {
             
             for (const test of knownCommands) {
                 try {
-                    const commandPath = path.join(this.schemasPath, test.service, `${test.command}.json`);
-                    const commandContent = await fs.readFile(commandPath, 'utf8');
-                    const commandData = JSON.parse(commandContent);
+                    const commandData = await this.loadCommand(test.service, test.command);
                     
                     // Check if expected required parameters are present
                     for (const expectedParam of test.expectedRequired) {
@@ -310,6 +340,1300 @@ class SchemaTestSuite {
         }
     }
 
+    /**
+     * Test nested shapes are resolved into parameter trees
+     */
+    async testNestedParameters() {
+        const testName = 'Nested Parameters';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            let testedCommands = 0;
+            
+            // ec2 RunInstances: list of structures with nested structures
+            try {
+                const commandData = await this.loadCommand('ec2', 'RunInstancesCommand');
+                const mappings = commandData.parameters.BlockDeviceMappings;
+                
+                this.assert(mappings.type === 'array', 'BlockDeviceMappings should be an array');
+                this.assert(mappings.items && mappings.items.type === 'object', 'BlockDeviceMappings items should be objects');
+                this.assert('DeviceName' in mappings.items.members, 'BlockDeviceMappings items should have DeviceName member');
+                this.assert(mappings.items.members.Ebs.members, 'Ebs member should be expanded');
+                
+                console.log('   ✅ ec2/RunInstancesCommand has nested BlockDeviceMappings');
+                testedCommands++;
+                
+            } catch (error) {
+                console.log(`   ⚠️ Could not test ec2/RunInstancesCommand: ${error.message}`);
+            }
+            
+            // dynamodb PutItem: recursive AttributeValue must be a reference
+            try {
+                const commandData = await this.loadCommand('dynamodb', 'PutItemCommand');
+                const attributeValue = commandData.parameters.Item.value;
+                
+                this.assert(attributeValue.shape === 'AttributeValue', 'Item values should be AttributeValue');
+                this.assert(attributeValue.members.M.value.recursive === true, 'Nested AttributeValue should be a recursive reference');
+                this.assert(attributeValue.members.M.value.ref === 'AttributeValue', 'Recursive reference should name AttributeValue');
+                
+                console.log('   ✅ dynamodb/PutItemCommand references recursive AttributeValue');
+                testedCommands++;
+                
+            } catch (error) {
+                console.log(`   ⚠️ Could not test dynamodb/PutItemCommand: ${error.message}`);
+            }
+            
+            this.assert(testedCommands > 0, 'Should test at least one nested command');
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test JSON Schema output (only when extracted with JSON Schema enabled)
+     */
+    async testJsonSchemaOutput() {
+        const testName = 'JSON Schema Output';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const indexPath = path.join(this.schemasPath, 'index.json');
+            const indexData = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+            
+            if (!indexData.jsonSchema) {
+                console.log('   ⚠️ JSON Schema output not enabled for this extraction, skipping');
+                this.passTest(testName);
+                return;
+            }
+            
+            const services = await this.getAvailableServices();
+            const testService = services[0];
+            const commands = await this.getServiceCommands(testService);
+            const testCommand = commands[0];
+            
+            const jsonSchema = await this.loadJsonSchema(testService, testCommand);
+            
+            this.assert(jsonSchema.$schema === 'https://json-schema.org/draft/2020-12/schema', 'Should declare draft 2020-12');
+            this.assert(jsonSchema.title === testCommand, 'Title should be the command name');
+            
+            if (jsonSchema.$ref) {
+                const defName = jsonSchema.$ref.replace('#/$defs/', '');
+                this.assert(jsonSchema.$defs && defName in jsonSchema.$defs, 'Root $ref should resolve in $defs');
+                this.assert(jsonSchema.$defs[defName].type === 'object', 'Input shape should be an object');
+            } else {
+                this.assert(jsonSchema.type === 'object', 'Schema without input should be an empty object');
+            }
+            
+            console.log(`   ✅ ${testService}/${testCommand}.schema.json is a draft 2020-12 schema`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test botocore value constraints are carried into parameters and summaries
+     */
+    async testParameterConstraints() {
+        const testName = 'Parameter Constraints';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const commandData = await this.loadCommand('dynamodb', 'PutItemCommand');
+            const tableName = commandData.parameters.TableName;
+            
+            this.assert(tableName.constraints, 'TableName should have constraints');
+            this.assert(tableName.constraints.min === 3, 'TableName min length should be 3');
+            this.assert(tableName.constraints.max === 255, 'TableName max length should be 255');
+            this.assert(typeof tableName.constraints.pattern === 'string', 'TableName should have a pattern');
+            
+            const returnValues = commandData.parameters.ReturnValues;
+            this.assert(Array.isArray(returnValues.constraints.enum), 'ReturnValues should have enum values');
+            this.assert(returnValues.constraints.enum.includes('ALL_OLD'), 'ReturnValues enum should include ALL_OLD');
+            
+            const summaryData = await this.loadServiceSummary('dynamodb');
+            this.assert(
+                summaryData.commands.PutItemCommand.constraints.TableName.max === 255,
+                'Service summary should surface TableName constraints'
+            );
+            
+            console.log('   ✅ dynamodb/PutItemCommand carries enum, min, max and pattern');
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test output (response) shapes are extracted alongside inputs
+     */
+    async testOutputShapes() {
+        const testName = 'Output Shapes';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const commandData = await this.loadCommand('ec2', 'DescribeInstancesCommand');
+            
+            this.assert(commandData.output, 'DescribeInstancesCommand should have an output');
+            this.assert(commandData.output.type === 'object', 'Output should be an object');
+            
+            const reservations = commandData.output.members.Reservations;
+            this.assert(reservations && reservations.type === 'array', 'Output should have Reservations array');
+            this.assert('Instances' in reservations.items.members, 'Reservations items should have Instances member');
+            
+            console.log('   ✅ ec2/DescribeInstancesCommand describes its nested response');
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test modeled error shapes and per-service error catalogs
+     */
+    async testErrorShapes() {
+        const testName = 'Error Shapes';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const commandData = await this.loadCommand('elasticache', 'AddTagsToResourceCommand');
+            this.assert(Array.isArray(commandData.errors), 'Command should have an errors array');
+            
+            const notFound = commandData.errors.find(error => error.shape === 'CacheClusterNotFoundFault');
+            this.assert(notFound, 'AddTagsToResource should raise CacheClusterNotFoundFault');
+            this.assert(notFound.code === 'CacheClusterNotFound', 'Error code should come from error.code');
+            this.assert(notFound.httpStatusCode === 404, 'Error should carry httpStatusCode');
+            this.assert(notFound.fault === 'client', 'Sender faults should be client faults');
+            
+            const catalog = await this.loadServiceCatalog('elasticache', 'errors');
+            this.assert(catalog.totalErrors === Object.keys(catalog.errors).length, 'Catalog total should match entries');
+            this.assert(
+                catalog.errors.CacheClusterNotFoundFault.commands.includes('AddTagsToResourceCommand'),
+                'Catalog should link errors to the commands raising them'
+            );
+            
+            console.log('   ✅ elasticache errors and _errors.json catalog are consistent');
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test paginator metadata from paginators-1.json
+     */
+    async testPagination() {
+        const testName = 'Pagination';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const listObjects = await this.loadCommand('s3', 'ListObjectsV2Command');
+            this.assert(listObjects.pagination.paginated === true, 'ListObjectsV2 should be paginated');
+            this.assert(listObjects.pagination.inputToken.includes('ContinuationToken'), 'ListObjectsV2 input token should be ContinuationToken');
+            this.assert(listObjects.pagination.outputToken.includes('NextContinuationToken'), 'ListObjectsV2 output token should be NextContinuationToken');
+            this.assert(listObjects.pagination.limitKey === 'MaxKeys', 'ListObjectsV2 limit key should be MaxKeys');
+            this.assert(listObjects.pagination.resultKey.includes('Contents'), 'ListObjectsV2 result key should include Contents');
+            
+            const putObject = await this.loadCommand('s3', 'PutObjectCommand');
+            this.assert(putObject.pagination.paginated === false, 'PutObject should be marked as non-paginated');
+            
+            // A paginator entry without tokens (only a result key) cannot be paginated
+            const parser = new library.Boto3ServiceJsonParser('.', { logger: null });
+            const tokenless = parser.parsePagination({ result_key: 'Items' });
+            this.assert(tokenless.paginated === false && tokenless.resultKey.includes('Items'),
+                'A paginator without tokens should keep its result key but not be paginated');
+            
+            console.log('   ✅ s3/ListObjectsV2Command advertises its paginator');
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test waiter definitions from waiters-2.json
+     */
+    async testWaiters() {
+        const testName = 'Waiters';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const waitersData = await this.loadServiceCatalog('ec2', 'waiters');
+            const instanceRunning = waitersData.waiters.InstanceRunning;
+            
+            this.assert(instanceRunning, 'ec2 should have an InstanceRunning waiter');
+            this.assert(instanceRunning.command === 'DescribeInstancesCommand', 'InstanceRunning should poll DescribeInstancesCommand');
+            this.assert(typeof instanceRunning.delay === 'number', 'Waiter should have a delay');
+            this.assert(typeof instanceRunning.maxAttempts === 'number', 'Waiter should have maxAttempts');
+            this.assert(instanceRunning.acceptors.length > 0, 'Waiter should have acceptors');
+            
+            const describeInstances = await this.loadCommand('ec2', 'DescribeInstancesCommand');
+            this.assert(describeInstances.waiters.includes('InstanceRunning'), 'DescribeInstancesCommand should link InstanceRunning');
+            
+            console.log('   ✅ ec2/_waiters.json links InstanceRunning to DescribeInstancesCommand');
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test AWS-authored examples from examples-1.json
+     */
+    async testExamples() {
+        const testName = 'Examples';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const putObject = await this.loadCommand('s3', 'PutObjectCommand');
+            
+            this.assert(Array.isArray(putObject.examples), 'PutObjectCommand should have an examples array');
+            this.assert(putObject.examples.length > 0, 'PutObjectCommand should have at least one example');
+            
+            const example = putObject.examples[0];
+            this.assert(example.input.Bucket, 'Example input should include Bucket');
+            this.assert(typeof example.output === 'object', 'Example should include an output');
+            this.assert(example.description, 'Example should include a description');
+            
+            console.log(`   ✅ s3/PutObjectCommand has ${putObject.examples.length} example(s)`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test HTTP binding and member location metadata
+     */
+    async testHttpBindings() {
+        const testName = 'HTTP Bindings';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const putObject = await this.loadCommand('s3', 'PutObjectCommand');
+            
+            this.assert(putObject.http.method === 'PUT', 'PutObject should use PUT');
+            this.assert(putObject.http.requestUri.includes('{Bucket}'), 'PutObject URI should template Bucket');
+            this.assert(putObject.parameters.Bucket.location === 'uri', 'Bucket should be a URI label');
+            this.assert(putObject.parameters.ContentType.location === 'header', 'ContentType should be a header');
+            this.assert(putObject.parameters.ContentType.locationName === 'Content-Type', 'ContentType header should be Content-Type');
+            this.assert(putObject.parameters.Body.location === 'payload', 'Body should be the payload');
+            
+            console.log('   ✅ s3/PutObjectCommand records method, URI template and parameter locations');
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test command names shared by several services are written for each of them
+     */
+    async testCommandCollisions() {
+        const testName = 'Command Collisions';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const indexPath = path.join(this.schemasPath, 'index.json');
+            const indexData = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+            
+            // Every command listed in the index must have been written to its service folder
+            let writtenCommands = 0;
+            for (const [serviceName, serviceInfo] of Object.entries(indexData.services)) {
+                const commands = await this.getServiceCommands(serviceName);
+                for (const commandName of serviceInfo.commands) {
+                    this.assert(commands.includes(commandName), `${serviceName}/${commandName} listed in index but not written`);
+                }
+                writtenCommands += commands.length;
+                
+                // Older API versions are written to versioned subfolders
+                for (const apiVersion of (serviceInfo.apiVersions || []).slice(1)) {
+                    writtenCommands += (await this.getServiceCommands(serviceName, apiVersion)).length;
+                }
+            }
+            
+            this.assert(
+                indexData.stats.successfulExtractions === writtenCommands,
+                `successfulExtractions (${indexData.stats.successfulExtractions}) should equal written commands (${writtenCommands})`
+            );
+            
+            // TagResourceCommand exists in many services and must not overwrite itself
+            const servicesWithTagResource = Object.entries(indexData.services)
+                .filter(([, serviceInfo]) => serviceInfo.commands.includes('TagResourceCommand'))
+                .map(([serviceName]) => serviceName);
+            
+            for (const serviceName of servicesWithTagResource) {
+                const commandData = await this.loadCommand(serviceName, 'TagResourceCommand');
+                this.assert(commandData.service === serviceName, `${serviceName}/TagResourceCommand should belong to ${serviceName}`);
+            }
+            
+            console.log(`   ✅ ${writtenCommands} commands written, TagResourceCommand in ${servicesWithTagResource.length} services`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test API versions are recorded and older versions land in versioned subfolders
+     */
+    async testApiVersions() {
+        const testName = 'API Versions';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const indexPath = path.join(this.schemasPath, 'index.json');
+            const indexData = JSON.parse(await fs.readFile(indexPath, 'utf8'));
+            
+            for (const [serviceName, serviceInfo] of Object.entries(indexData.services)) {
+                this.assert(Array.isArray(serviceInfo.apiVersions), `${serviceName} should list its API versions`);
+                this.assert(serviceInfo.apiVersions[0] === serviceInfo.apiVersion, `${serviceName} latest API version should come first`);
+                
+                for (const apiVersion of serviceInfo.apiVersions.slice(1)) {
+                    const summaryData = await this.loadServiceSummary(serviceName, apiVersion);
+                    this.assert(summaryData.apiVersion === apiVersion, `${serviceName}/${apiVersion} summary should match its folder`);
+                }
+            }
+            
+            const versionedServices = Object.values(indexData.services)
+                .filter(serviceInfo => serviceInfo.apiVersions.length > 1).length;
+            console.log(`   ✅ ${versionedServices} services with older API versions extracted`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test runtime request validation against command schemas
+     */
+    async testRequestValidation() {
+        const testName = 'Request Validation';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const requestValidator = new RequestValidator(this.schemasPath);
+            
+            const validResult = await requestValidator.validate('s3', 'PutObjectCommand', { Bucket: 'x', Key: 'y' });
+            this.assert(validResult.valid, 'Valid PutObject input should pass');
+            
+            const wrongType = await requestValidator.validate('s3', 'PutObject', { Bucket: 'x', Key: 5 });
+            this.assert(!wrongType.valid, 'Numeric Key should fail');
+            this.assert(
+                wrongType.errors.some(error => error.path === 'Key' && error.code === 'INVALID_TYPE'),
+                'Numeric Key should be reported as INVALID_TYPE at Key'
+            );
+            
+            const missingAndUnknown = await requestValidator.validate('s3', 'PutObjectCommand', { Key: 'y', Bukket: 'x' });
+            this.assert(
+                missingAndUnknown.errors.some(error => error.path === 'Bucket' && error.code === 'MISSING_REQUIRED'),
+                'Missing Bucket should be reported'
+            );
+            this.assert(
+                missingAndUnknown.errors.some(error => error.path === 'Bukket' && error.code === 'UNKNOWN_MEMBER'),
+                'Unknown member Bukket should be reported'
+            );
+            
+            // Recursive shapes are resolved through their references
+            const nested = await requestValidator.validate('dynamodb', 'PutItemCommand', {
+                TableName: 'my-table',
+                Item: { id: { M: { inner: { L: [{ N: 5 }] } } } }
+            });
+            this.assert(
+                nested.errors.some(error => error.path === 'Item.id.M.inner.L[0].N' && error.code === 'INVALID_TYPE'),
+                'Errors inside recursive AttributeValue should be path-qualified'
+            );
+            
+            const constraint = await requestValidator.validate('dynamodb', 'PutItemCommand', { TableName: 'ab', Item: {} });
+            this.assert(
+                constraint.errors.some(error => error.path === 'TableName' && error.code === 'CONSTRAINT_VIOLATION'),
+                'Too short TableName should violate min constraint'
+            );
+            
+            // Botocore patterns are not anchored: a match anywhere in the value passes
+            const unanchored = await requestValidator.validate('dynamodb', 'PutItemCommand', { TableName: 'My Table!', Item: {} });
+            this.assert(
+                !unanchored.errors.some(error => error.path === 'TableName'),
+                'A TableName containing a match of its pattern should pass'
+            );
+            const patterned = { parameters: { Name: { name: 'Name', type: 'string', constraints: { pattern: '[a-z]+' } } } };
+            this.assert(RequestValidator.validateInput(patterned, { Name: 'ABC-def' }).valid, 'Unanchored patterns should match inside the value');
+            this.assert(!RequestValidator.validateInput(patterned, { Name: 'ABC-DEF' }).valid, 'Values without a match should fail');
+            
+            // Unions (AttributeValue) take exactly one member
+            const union = await requestValidator.validate('dynamodb', 'PutItemCommand', {
+                TableName: 'my-table',
+                Item: { both: { S: 'a', N: '1' }, neither: {}, one: { S: 'a' } }
+            });
+            this.assert(
+                ['Item.both', 'Item.neither'].every(unionPath => union.errors.some(error => error.path === unionPath && error.code === 'INVALID_UNION')) &&
+                !union.errors.some(error => error.path === 'Item.one'),
+                'Unions with none or several members set should be reported as INVALID_UNION'
+            );
+            
+            const nullInput = await requestValidator.validate('s3', 'PutObjectCommand', null);
+            this.assert(
+                nullInput.errors.some(error => error.path === '(input)' && error.code === 'INVALID_TYPE'),
+                'A null input should be reported as INVALID_TYPE at the root'
+            );
+            this.assert(
+                nullInput.errors.some(error => error.path === 'Bucket' && error.code === 'MISSING_REQUIRED'),
+                'A null input should still report missing required members'
+            );
+            
+            const fraction = RequestValidator.validateInput({
+                parameters: { Limit: { name: 'Limit', type: 'number', format: 'integer' }, Ratio: { name: 'Ratio', type: 'number' } }
+            }, { Limit: 1.5, Ratio: 1.5 });
+            this.assert(
+                fraction.errors.length === 1 && fraction.errors[0].path === 'Limit' && fraction.errors[0].code === 'INVALID_TYPE',
+                'Integer members should reject fractional numbers'
+            );
+            
+            const streamBody = await requestValidator.validate('s3', 'PutObjectCommand', {
+                Bucket: 'x',
+                Key: 'y',
+                Body: Readable.from(['chunk'])
+            });
+            this.assert(streamBody.valid, 'A readable stream should be accepted as a blob body');
+            
+            // Members referring back to the input shape resolve to the command input
+            const selfReferencing = {
+                inputShape: 'FilterInput',
+                parameters: {
+                    Name: { name: 'Name', type: 'string', shape: 'String' },
+                    Not: { name: 'Not', type: 'object', shape: 'FilterInput', recursive: true, ref: 'FilterInput' }
+                },
+                requiredParameters: ['Name']
+            };
+            const rootReference = RequestValidator.validateInput(selfReferencing, { Name: 'a', Not: { Name: 5 } });
+            this.assert(
+                rootReference.errors.some(error => error.path === 'Not.Name' && error.code === 'INVALID_TYPE'),
+                'A reference to the input shape should be validated against the input'
+            );
+            
+            console.log('   ✅ Request payloads are checked for types, required/unknown members and constraints');
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test TypeScript declarations generated from the schemas
+     */
+    async testTypeScriptGeneration() {
+        const testName = 'TypeScript Generation';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const generator = new TypeScriptGenerator(this.schemasPath);
+            const declarations = await generator.generateServiceDeclarations('s3');
+            
+            this.assert(declarations.includes('export interface PutObjectCommandInput {'), 'Should declare PutObjectCommandInput');
+            this.assert(declarations.includes('    Bucket: string;'), 'Required Bucket should be non-optional');
+            this.assert(declarations.includes('    ContentType?: string;'), 'Optional ContentType should be optional');
+            this.assert(declarations.includes('export interface PutObjectCommandOutput {'), 'Should declare PutObjectCommandOutput');
+            this.assert(/export type StorageClass = "[^"]+"( \| "[^"]+")*;/.test(declarations), 'Enums should be string-literal unions');
+            this.assert(
+                declarations.includes('    Body?: globalThis.Uint8Array | string | NodeReadable;') &&
+                declarations.includes("import type { Readable as NodeReadable } from 'stream';"),
+                'Blobs should accept binary values and streams'
+            );
+            this.assert(declarations.includes('    CreationDate?: globalThis.Date | string;'), 'Timestamps should accept dates');
+            
+            // Shapes named like globals (Kinesis Record) must not break the types that use those globals
+            const globalNames = new TypeScriptGenerator().renderServiceDeclarations('example', [{
+                command: 'PutRecordsCommand',
+                parameters: {
+                    Records: { name: 'Records', type: 'array', shape: 'RecordList', items: { type: 'object', shape: 'Record', members: {
+                        Tags: { name: 'Tags', type: 'object', shape: 'TagMap', key: { type: 'string' }, value: { type: 'string' } }
+                    } } }
+                },
+                output: null
+            }]);
+            this.assert(globalNames.includes('export interface Record {') && globalNames.includes('    Records?: Record[];'), 'Record should be declared');
+            this.assert(
+                globalNames.includes('    Tags?: { [key: string]: string };') && !/\b(Record|Array)</.test(globalNames),
+                'Maps and lists should not use generic globals a shape can shadow'
+            );
+            
+            // A member referring back to the input shape needs that name declared
+            const selfReferencing = new TypeScriptGenerator().renderServiceDeclarations('example', [{
+                command: 'FilterCommand',
+                inputShape: 'FilterInput',
+                parameters: {
+                    Not: { name: 'Not', type: 'object', shape: 'FilterInput', recursive: true, ref: 'FilterInput' }
+                },
+                output: null
+            }]);
+            this.assert(selfReferencing.includes('    Not?: FilterInput;'), 'Reference to the input shape should use its name');
+            this.assert(
+                selfReferencing.includes('export type FilterInput = FilterCommandInput;'),
+                'Input shape referenced recursively should be declared'
+            );
+            
+            console.log(`   ✅ s3.d.ts declares ${generator.stats.totalCommands} command inputs and outputs`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test Zod validator modules generated from the schemas
+     */
+    async testZodGeneration() {
+        const testName = 'Zod Generation';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const generator = new ZodGenerator(this.schemasPath);
+            const moduleContent = await generator.generateServiceModule('s3');
+            
+            this.assert(moduleContent.includes("import { z } from 'zod';"), 'Module should import zod');
+            this.assert(moduleContent.includes('export const PutObjectCommandInput = z.object({'), 'Should export PutObjectCommandInput');
+            this.assert(/\n    Bucket: (?![^\n]*\.optional\(\))/.test(moduleContent), 'Required Bucket should not be optional');
+            this.assert(/\n    ContentType: [^\n]*\.optional\(\)/.test(moduleContent), 'Optional ContentType should be optional');
+            this.assert(/StorageClass: z\.enum\(\[/.test(moduleContent), 'Enums should use z.enum');
+            this.assert(moduleContent.includes('}).strict();'), 'Structures should reject unknown members');
+            this.assert(generator.renderPattern('[a-z]+') === '.regex(new RegExp("[a-z]+", "u"))', 'Patterns should stay unanchored');
+            
+            // Blobs, timestamps and integers accept the same values as RequestValidator
+            this.assert(/\n    Body: blobValue\.optional\(\)/.test(moduleContent) && moduleContent.includes('const blobValue = z.union(['),
+                'Blobs should accept binary values and streams');
+            const inline = node => new ZodGenerator().renderInlineSchema(node, { usesBlob: false });
+            this.assert(inline({ type: 'string', format: 'timestamp' }) === 'z.union([z.string(), z.date()])', 'Timestamps should accept dates');
+            this.assert(inline({ type: 'number', format: 'integer', constraints: { min: 1 } }) === 'z.number().int().min(1)', 'Integers should be whole numbers');
+            this.assert(inline({ type: 'number', format: undefined }) === 'z.number()', 'Doubles should accept fractions');
+            
+            // Unions take exactly one member
+            const dynamodbModule = await new ZodGenerator(this.schemasPath).generateServiceModule('dynamodb');
+            this.assert(/export const AttributeValueSchema = z\.object\(\{[\s\S]*?\}\)\.strict\(\)\.refine\(/.test(dynamodbModule),
+                'Union structures should require exactly one member');
+            
+            // A member referring back to the input shape needs that schema declared before the input export
+            const selfReferencing = new ZodGenerator().renderServiceModule('example', [{
+                command: 'FilterCommand',
+                inputShape: 'FilterInput',
+                parameters: {
+                    Not: { name: 'Not', type: 'object', shape: 'FilterInput', recursive: true, ref: 'FilterInput' }
+                }
+            }]);
+            const declaration = selfReferencing.indexOf('export const FilterInputSchema = z.object({');
+            this.assert(declaration !== -1, 'Input shape referenced recursively should be declared');
+            this.assert(
+                declaration < selfReferencing.indexOf('export const FilterCommandInput = FilterInputSchema;'),
+                'Command input should reuse the declared input shape schema'
+            );
+            
+            console.log(`   ✅ s3.js exports ${generator.stats.totalCommands} command input schemas`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test the diff engine against a modified copy of the current snapshot
+     */
+    async testSchemaDiff() {
+        const testName = 'Schema Diff';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const schemaDiff = new SchemaDiff();
+            const oldSnapshot = await schemaDiff.loadSnapshot(this.schemasPath);
+            
+            const unchanged = schemaDiff.compareSnapshots(oldSnapshot, oldSnapshot);
+            this.assert(Object.values(unchanged.summary).every(count => count === 0), 'Identical snapshots should have no changes');
+            
+            // Drop a service, remove a parameter and make an optional one required
+            const newSnapshot = JSON.parse(JSON.stringify(oldSnapshot));
+            const [removedService] = Object.keys(newSnapshot.services).filter(service => service !== 's3');
+            delete newSnapshot.services[removedService];
+            const putObject = newSnapshot.services.s3.PutObjectCommand;
+            delete putObject.parameters.Key;
+            putObject.parameters.ContentType.required = true;
+            
+            const diff = schemaDiff.compareSnapshots(oldSnapshot, newSnapshot);
+            const commandDiff = diff.services.s3.commandsChanged.PutObjectCommand;
+            
+            this.assert(diff.servicesRemoved.includes(removedService), 'Removed service should be reported');
+            this.assert(commandDiff.parametersRemoved.some(param => param.path === 'Key'), 'Removed parameter should be reported');
+            this.assert(
+                commandDiff.requiredChanges.some(change => change.path === 'ContentType' && change.to === 'required'),
+                'Optional to required flip should be reported'
+            );
+            this.assert(schemaDiff.toMarkdown(diff).includes('#### PutObjectCommand'), 'Markdown report should list changed commands');
+            
+            console.log(`   ✅ Detected ${diff.summary.parametersRemoved} removed parameter(s) and ${diff.summary.requiredChanges} required flip(s)`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test breaking/additive/cosmetic classification and the recommended semver bump
+     */
+    async testChangeClassification() {
+        const testName = 'Change Classification';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const schemaDiff = new SchemaDiff();
+            const classifier = new ChangeClassifier();
+            const oldSnapshot = await schemaDiff.loadSnapshot(this.schemasPath);
+            const bumpFor = mutate => {
+                const newSnapshot = JSON.parse(JSON.stringify(oldSnapshot));
+                mutate(newSnapshot.services.s3);
+                return classifier.classify(schemaDiff.compareSnapshots(oldSnapshot, newSnapshot)).bump;
+            };
+            
+            this.assert(bumpFor(() => {}) === 'none', 'No changes should need no bump');
+            this.assert(bumpFor(s3 => { s3.PutObjectCommand.docHash = 'changed'; }) === 'patch', 'Documentation changes should be cosmetic');
+            this.assert(
+                bumpFor(s3 => { s3.PutObjectCommand.parameters.NewOption = { type: 'string', required: false, docHash: null }; }) === 'minor',
+                'New optional parameters should be additive'
+            );
+            this.assert(bumpFor(s3 => { s3.PutObjectCommand.parameters.ContentType.required = true; }) === 'major', 'Newly required parameters should be breaking');
+            this.assert(bumpFor(s3 => { delete s3.PutObjectCommand; }) === 'major', 'Removed commands should be breaking');
+            
+            this.assert(classifier.nextVersion('1.4.2', 'major') === '2.0.0', 'Major bump should reset minor and patch');
+            this.assert(classifier.nextVersion('1.4.2', 'minor') === '1.5.0', 'Minor bump should reset patch');
+            this.assert(classifier.nextVersion('1.4.2', 'none') === '1.4.2', 'No bump should keep the version');
+            
+            console.log('   ✅ Breaking, additive and cosmetic changes map to major, minor and patch');
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test the library entry point exports
+     */
+    async testLibraryEntry() {
+        const testName = 'Library Entry';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            for (const name of ['extract', 'createSchemaLoader', 'Boto3ServiceJsonParser', 'SchemaValidator', 'RequestValidator']) {
+                this.assert(typeof library[name] === 'function', `index.js should export ${name}`);
+            }
+            
+            const loader = library.createSchemaLoader(this.schemasPath);
+            const services = await loader.getAvailableServices();
+            this.assert(services.length > 0, 'createSchemaLoader should read the schemas directory');
+            
+            let rejected = false;
+            await library.extract({}).catch(() => { rejected = true; });
+            this.assert(rejected, 'extract() without an input directory should reject');
+            
+            // An incremental run skips unchanged services but still returns them
+            const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aws-schemas-library-'));
+            try {
+                await this.writeSampleBotocoreData(path.join(tempDir, 'data'));
+                for (const layout of ['files', 'bundle', 'ndjson']) {
+                    const options = {
+                        input: path.join(tempDir, 'data'),
+                        output: path.join(tempDir, layout),
+                        logger: null,
+                        layout,
+                        incremental: true,
+                        reproducible: true,
+                        allApiVersions: true,
+                        jsonSchema: true
+                    };
+                    const full = await library.extract(options);
+                    const incremental = await library.extract(options);
+                    
+                    this.assert(incremental.unchangedServices.includes('sample'), `Second ${layout} run should skip the sample service`);
+                    this.assert(Object.keys(incremental.schemas.sample || {}).length === 2, `Skipped ${layout} service should still be returned`);
+                    for (const key of ['schemas', 'waiters', 'olderVersions', 'jsonSchemas']) {
+                        this.assert(
+                            this.toCanonicalJson(incremental[key]) === this.toCanonicalJson(full[key]),
+                            `Incremental ${layout} run should return the same ${key} as a full run`
+                        );
+                    }
+                }
+            } finally {
+                await fs.rm(tempDir, { recursive: true, force: true });
+            }
+            
+            console.log(`   ✅ Library loader sees ${services.length} services`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test include/exclude filter patterns and the partial flag in index.json
+     */
+    async testExtractionFilter() {
+        const testName = 'Extraction Filter';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const filter = new ExtractionFilter(['ec2:Describe*', 'dynamodb', '!ec2:*Ipam*', '!dynamodb:List*']);
+            
+            this.assert(filter.matchesService('ec2') && filter.matchesService('dynamodb'), 'Included services should match');
+            this.assert(!filter.matchesService('s3'), 'Services without an include pattern should not match');
+            this.assert(filter.matchesOperation('ec2', 'DescribeInstances'), 'ec2:Describe* should match DescribeInstances');
+            this.assert(!filter.matchesOperation('ec2', 'RunInstances'), 'ec2:Describe* should not match RunInstances');
+            this.assert(!filter.matchesOperation('ec2', 'DescribeIpamPools'), 'Exclusions should win over inclusions');
+            this.assert(filter.matchesOperation('dynamodb', 'PutItem'), 'A bare service pattern should match all its operations');
+            this.assert(!filter.matchesOperation('dynamodb', 'ListTables'), 'dynamodb:List* should be excluded');
+            
+            const excludeOnly = new ExtractionFilter(['!s3']);
+            this.assert(!excludeOnly.matchesService('s3') && excludeOnly.matchesService('ec2'), 'Exclude-only filters should keep other services');
+            this.assert(new ExtractionFilter([]).isEmpty(), 'No patterns should mean no filtering');
+            
+            // Patterns narrow the given services rather than adding to them
+            const narrowed = new ExtractionFilter(['ec2:Describe*', 'dynamodb'], ['ec2', 's3']);
+            this.assert(narrowed.matchesService('ec2') && !narrowed.matchesService('dynamodb'), 'Patterns should not add services');
+            this.assert(!narrowed.matchesService('s3'), 'Services no pattern includes should not match');
+            this.assert(!narrowed.matchesOperation('ec2', 'RunInstances'), 'Patterns should narrow the operations of a service');
+            const servicesOnly = new ExtractionFilter(['!ec2:*Ipam*'], ['ec2', 's3']);
+            this.assert(servicesOnly.matchesOperation('s3', 'PutObject') && !servicesOnly.matchesService('dynamodb'), 'Services alone should select');
+            this.assert(!servicesOnly.matchesOperation('ec2', 'DescribeIpamPools'), 'Exclusions should apply within the services');
+            
+            let rejected = false;
+            try {
+                new ExtractionFilter(['ec2:']);
+            } catch (error) {
+                rejected = error.code === 'INVALID_FILTER';
+            }
+            this.assert(rejected, 'An empty operation pattern should be rejected');
+            
+            const indexContent = await fs.readFile(path.join(this.schemasPath, 'index.json'), 'utf8');
+            const index = JSON.parse(indexContent);
+            this.assert(typeof index.partial === 'boolean', 'index.json should record whether the output is partial');
+            this.assert(index.partial === (index.filter !== null), 'index.json filter should be set only for partial output');
+            
+            console.log(`   ✅ Filter patterns behave as expected (output ${index.partial ? 'is partial' : 'is complete'})`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test that concurrent extraction still produces deterministically ordered output
+     */
+    async testConcurrencyOrdering() {
+        const testName = 'Concurrency Ordering';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const indexContent = await fs.readFile(path.join(this.schemasPath, 'index.json'), 'utf8');
+            const index = JSON.parse(indexContent);
+            
+            const serviceNames = Object.keys(index.services);
+            this.assert(serviceNames.join() === [...serviceNames].sort().join(), 'index.json services should be in sorted order');
+            
+            for (const [serviceName, serviceInfo] of Object.entries(index.services)) {
+                const versions = serviceInfo.apiVersions || [];
+                this.assert(versions.join() === [...versions].sort().reverse().join(), `${serviceName} API versions should be latest first`);
+            }
+            
+            for (const concurrency of [0, 1.5, NaN]) {
+                let rejected = false;
+                try {
+                    new library.Boto3ServiceJsonParser('./botocore/botocore/data', { concurrency, logger: null });
+                } catch (error) {
+                    rejected = true;
+                }
+                this.assert(rejected, `concurrency ${concurrency} should be rejected`);
+            }
+            
+            console.log(`   ✅ ${serviceNames.length} services listed in a stable order`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test the manifest used for incremental extraction
+     */
+    async testIncrementalManifest() {
+        const testName = 'Incremental Manifest';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            // Only the CLI skips unchanged services unless asked to
+            this.assert(new library.Boto3ServiceJsonParser('.', { logger: null }).options.incremental === false,
+                'The parser should re-extract every service by default');
+            
+            let manifest;
+            try {
+                manifest = JSON.parse(await fs.readFile(path.join(this.schemasPath, '_manifest.json'), 'utf8'));
+            } catch (error) {
+                console.log('   ⚠️ No _manifest.json in this extraction, skipping');
+                this.passTest(testName);
+                return;
+            }
+            
+            const index = JSON.parse(await fs.readFile(path.join(this.schemasPath, 'index.json'), 'utf8'));
+            this.assert(/^[0-9a-f]{64}$/.test(manifest.fingerprint), 'Manifest should have a sha256 fingerprint');
+            
+            for (const [serviceName, serviceIndex] of Object.entries(index.services)) {
+                const manifestEntry = manifest.services[serviceName];
+                this.assert(manifestEntry, `${serviceName} should be in the manifest`);
+                this.assert(
+                    Object.keys(manifestEntry.files).some(file => file.endsWith('/service-2.json')),
+                    `${serviceName} manifest entry should hash its service-2.json`
+                );
+                this.assert(
+                    JSON.stringify(manifestEntry.index) === JSON.stringify(serviceIndex),
+                    `${serviceName} manifest index entry should match index.json`
+                );
+            }
+            
+            console.log(`   ✅ Manifest covers ${Object.keys(manifest.services).length} services`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test reproducible output: one timestamp in index.json, sorted keys and commands
+     */
+    async testReproducibleOutput() {
+        const testName = 'Reproducible Output';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aws-schemas-reproducible-'));
+        
+        try {
+            // The same botocore data in two checkouts gives byte-identical output
+            const readTree = async (dir, prefix = '') => {
+                const files = {};
+                for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+                    const relativePath = path.join(prefix, entry.name);
+                    Object.assign(files, entry.isDirectory()
+                        ? await readTree(dir, relativePath)
+                        : { [relativePath]: await fs.readFile(path.join(dir, relativePath), 'utf8') });
+                }
+                return files;
+            };
+            const trees = [];
+            for (const checkout of ['first/data', 'second/botocore/data']) {
+                const dataDir = path.join(tempDir, checkout);
+                const output = path.join(tempDir, `${checkout.split('/')[0]}-output`);
+                await this.writeSampleBotocoreData(dataDir);
+                await library.extract({ input: dataDir, output, logger: null, reproducible: true });
+                trees.push(await readTree(output));
+            }
+            this.assert(Object.keys(trees[0]).length > 0 && Object.keys(trees[0]).join() === Object.keys(trees[1]).join(),
+                'Both checkouts should write the same files');
+            for (const [file, content] of Object.entries(trees[0])) {
+                this.assert(trees[1][file] === content, `${file} should not depend on the checkout path`);
+            }
+            
+            const index = JSON.parse(await fs.readFile(path.join(this.schemasPath, 'index.json'), 'utf8'));
+            
+            if (!index.reproducible) {
+                console.log('   ⚠️ Reproducible mode not enabled for this extraction, skipping');
+                this.passTest(testName);
+                return;
+            }
+            
+            this.assert(index.sourceRevision && index.generatedAt === index.sourceRevision.date,
+                'index.json generatedAt should be the source revision date');
+            
+            const isSorted = keys => keys.join('\n') === [...keys].sort().join('\n');
+            this.assert(isSorted(Object.keys(index)), 'index.json keys should be sorted');
+            
+            for (const service of (await this.getAvailableServices()).slice(0, 3)) {
+                this.assert(isSorted(index.services[service].commands), `${service} commands should be sorted`);
+                
+                const summary = await this.loadServiceSummary(service);
+                this.assert(!('generatedAt' in summary), `${service} summary should not carry a timestamp`);
+                
+                for (const command of (await this.getServiceCommands(service)).slice(0, 3)) {
+                    const commandData = await this.loadCommand(service, command);
+                    this.assert(!('generatedAt' in commandData), `${command} should not carry a timestamp`);
+                    this.assert(isSorted(Object.keys(commandData)) && isSorted(Object.keys(commandData.parameters)),
+                        `${command} keys should be sorted`);
+                }
+            }
+            
+            console.log(`   ✅ Output is stamped once with ${index.generatedAt}`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Test output layouts: gzipped stream round trip and reading commands through the loader
+     */
+    async testOutputLayouts() {
+        const testName = 'Output Layouts';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aws-schemas-layout-'));
+        
+        try {
+            const gzipLayout = new OutputLayout({ format: 'ndjson', compression: 'gzip' });
+            const records = [{ command: 'ACommand', service: 'a' }, { command: 'BCommand', service: 'b' }];
+            const streamPath = path.join(tempDir, gzipLayout.streamFile);
+            
+            await gzipLayout.writeStream(streamPath, records.map(record => JSON.stringify(record)));
+            const readBack = [];
+            for await (const record of OutputLayout.readStream(streamPath)) {
+                readBack.push(record);
+            }
+            this.assert(JSON.stringify(readBack) === JSON.stringify(records), 'Gzipped NDJSON stream should round-trip');
+            
+            // Records of an uncompressed stream can be read back at their offset
+            const plainLayout = new OutputLayout({ format: 'ndjson' });
+            const plainPath = path.join(tempDir, plainLayout.streamFile);
+            const unicodeRecords = [{ command: 'ÄCommand', service: 'ü' }, ...records];
+            await plainLayout.writeStream(plainPath, unicodeRecords.map(record => JSON.stringify(record)));
+            for await (const { record, offset, length } of OutputLayout.readStreamEntries(plainPath)) {
+                this.assert(JSON.stringify(await OutputLayout.readStreamRecord(plainPath, offset, length)) === JSON.stringify(record),
+                    `${record.command} should be read back at its offset`);
+            }
+            
+            let rejected = false;
+            try {
+                new OutputLayout({ format: 'files', compression: 'gzip' });
+            } catch (error) {
+                rejected = true;
+            }
+            this.assert(rejected, 'The files layout should reject gzip');
+            
+            // Commands listed in index.json are readable whatever the layout of this extraction
+            const index = JSON.parse(await fs.readFile(path.join(this.schemasPath, 'index.json'), 'utf8'));
+            const layout = OutputLayout.fromIndex(index);
+            const [serviceName, serviceIndex] = Object.entries(index.services).find(([, entry]) => entry.commands.length > 0);
+            
+            if (layout.format === 'bundle') {
+                await fs.access(path.join(this.schemasPath, serviceName, layout.bundleFile));
+            } else if (layout.format === 'ndjson') {
+                await fs.access(path.join(this.schemasPath, layout.streamFile));
+            }
+            
+            const loader = library.createSchemaLoader(this.schemasPath);
+            const commandName = serviceIndex.commands[0];
+            const commandData = await loader.readCommand(commandName, serviceName);
+            this.assert(commandData.command === commandName, `Loader should read ${serviceName}/${commandName}`);
+            
+            console.log(`   ✅ Read ${serviceName}/${commandName} from the ${layout.format} layout`);
+            
+            this.passTest(testName);
+        
+        } catch (error) {
+            this.failTest(testName, error.message);
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Test that every output layout reads back like the files layout: diff, validation,
+     * generators and the test helpers see the same commands
+     */
+    async testLayoutEquivalence() {
+        const testName = 'Layout Equivalence';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aws-schemas-equivalence-'));
+        
+        try {
+            const dataDir = path.join(tempDir, 'data');
+            await this.writeSampleBotocoreData(dataDir);
+            
+            const outputs = [];
+            for (const options of [
+                { layout: 'files' },
+                { layout: 'bundle' },
+                { layout: 'bundle', gzip: true },
+                { layout: 'ndjson' },
+                { layout: 'ndjson', gzip: true }
+            ]) {
+                const output = path.join(tempDir, `${options.layout}${options.gzip ? '-gzip' : ''}`);
+                await library.extract({ input: dataDir, output, logger: null, reproducible: true, allApiVersions: true, jsonSchema: true, ...options });
+                outputs.push(output);
+            }
+            
+            const readOutput = async output => {
+                const suite = new SchemaTestSuite(output);
+                const validator = new SchemaValidator(output);
+                await validator.validateIndexFile();
+                await validator.validateAllServices();
+                
+                return {
+                    commands: await suite.getServiceCommands('sample'),
+                    olderCommands: await suite.getServiceCommands('sample', '2019-01-01'),
+                    command: await suite.loadCommand('sample', 'DescribeThingCommand'),
+                    jsonSchema: await suite.loadJsonSchema('sample', 'DescribeThingCommand'),
+                    waiters: (await suite.loadServiceCatalog('sample', 'waiters')).waiters,
+                    snapshot: (await new SchemaDiff().loadSnapshot(output)).services,
+                    declarations: await new TypeScriptGenerator(output).generateServiceDeclarations('sample'),
+                    zod: await new ZodGenerator(output).generateServiceModule('sample'),
+                    validation: {
+                        errors: validator.validationErrors.length,
+                        warnings: validator.validationWarnings.length,
+                        commands: validator.stats.totalCommands
+                    }
+                };
+            };
+            
+            const [filesOutput, ...otherOutputs] = outputs;
+            const expected = await readOutput(filesOutput);
+            this.assert(expected.commands.length === 2 && expected.olderCommands.length === 1, 'Files layout should hold both API versions');
+            this.assert(expected.validation.errors === 0, 'Files layout should validate');
+            this.assert(expected.declarations.includes('export interface DescribeThingCommandInput {'), 'Types should be generated');
+            
+            for (const output of otherOutputs) {
+                const layoutName = path.basename(output);
+                const actual = await readOutput(output);
+                
+                for (const key of Object.keys(expected)) {
+                    this.assert(
+                        this.toCanonicalJson(actual[key]) === this.toCanonicalJson(expected[key]),
+                        `${layoutName} layout should give the same ${key} as the files layout`
+                    );
+                }
+                
+                const diff = await new SchemaDiff().compare(filesOutput, output);
+                this.assert(Object.values(diff.summary).every(count => count === 0), `${layoutName} should not differ from the files layout`);
+            }
+            
+            console.log(`   ✅ ${otherOutputs.length} layouts read back like the files layout`);
+            
+            this.passTest(testName);
+        
+        } catch (error) {
+            this.failTest(testName, error.message);
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Test the runtime loader's command index, LRU cache, preloading and logger
+     */
+    async testSchemaLoaderCache() {
+        const testName = 'Schema Loader Cache';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const index = JSON.parse(await fs.readFile(path.join(this.schemasPath, 'index.json'), 'utf8'));
+            const commands = Object.entries(index.services)
+                .flatMap(([service, entry]) => entry.commands.map(command => ({ service, command })));
+            this.assert(commands.length >= 3, 'Need at least 3 extracted commands');
+            
+            const loader = library.createSchemaLoader(this.schemasPath, { cacheSize: 2 });
+            const [first, second, third] = commands;
+            
+            await loader.readCommand(first.command, first.service);
+            await loader.readCommand(first.command, first.service);
+            this.assert(loader.getCacheStats().hits === 1, 'Second read of a command should hit the cache');
+            
+            // Reading two more commands evicts the least recently used one
+            await loader.readCommand(second.command, second.service);
+            await loader.readCommand(third.command, third.service);
+            const { hits, size } = loader.getCacheStats();
+            await loader.readCommand(first.command, first.service);
+            this.assert(size === 2 && loader.getCacheStats().hits === hits, 'Cache should keep only the 2 most recent commands');
+            
+            // Lookups without a service go through the command index
+            const owners = new Map();
+            commands.forEach(({ service, command }) => owners.set(command, [...(owners.get(command) || []), service]));
+            const [uniqueCommand, uniqueOwners] = [...owners].find(([, services]) => services.length === 1) || [];
+            if (uniqueCommand) {
+                const schema = await loader.getCommandSchema(uniqueCommand);
+                this.assert(schema && schema.service === uniqueOwners[0], `${uniqueCommand} should be found in ${uniqueOwners[0]}`);
+            }
+            const [ambiguousCommand, ambiguousOwners] = [...owners].find(([, services]) => services.length > 1) || [];
+            if (ambiguousCommand) {
+                let ambiguousError = null;
+                await loader.getCommandSchema(ambiguousCommand).catch(error => { ambiguousError = error; });
+                this.assert(ambiguousError && ambiguousError.code === 'AMBIGUOUS_COMMAND' &&
+                    ambiguousError.services.join() === ambiguousOwners.join(), `${ambiguousCommand} should be ambiguous`);
+            }
+            for (const [commandName, serviceName] of [['NoSuchOperationCommand', null], ['NoSuchOperationCommand', first.service]]) {
+                let missingError = null;
+                await loader.getCommandSchema(commandName, serviceName).catch(error => { missingError = error; });
+                this.assert(missingError && missingError.code === 'COMMAND_NOT_FOUND',
+                    `Unknown commands should throw COMMAND_NOT_FOUND${serviceName ? ` in ${serviceName}` : ''}`);
+            }
+            
+            // Preloading a service puts all of its commands in the cache
+            const serviceCommandCount = index.services[first.service].commands.length;
+            const preloadLoader = library.createSchemaLoader(this.schemasPath, { preload: [first.service] });
+            const preloaded = await preloadLoader.preload();
+            this.assert(preloaded.commands === serviceCommandCount, `preload() should read every ${first.service} command`);
+            const servedFromCache = async (cacheLoader, serviceName) => {
+                const { misses } = cacheLoader.getCacheStats();
+                for (const command of index.services[serviceName].commands) {
+                    await cacheLoader.readCommand(command, serviceName);
+                }
+                return cacheLoader.getCacheStats().misses === misses;
+            };
+            this.assert(await servedFromCache(preloadLoader, first.service), 'Preloaded commands should be served from the cache');
+            
+            // The preload option alone preloads on the first lookup
+            const lazyLoader = library.createSchemaLoader(this.schemasPath, { preload: [first.service] });
+            this.assert(lazyLoader.getCacheStats().size === 0, 'Nothing should be preloaded before the first lookup');
+            await lazyLoader.getCommandSchema(first.command, first.service);
+            this.assert(lazyLoader.getCacheStats().size >= serviceCommandCount && await servedFromCache(lazyLoader, first.service),
+                'The first lookup should preload the preload option\'s services');
+            
+            // Warnings go to the logger option
+            const warnings = [];
+            const loggedLoader = library.createSchemaLoader(this.schemasPath, {
+                cacheSize: 1,
+                logger: { warn: message => warnings.push(message), error: message => warnings.push(message) }
+            });
+            await loggedLoader.preload(true);
+            this.assert(warnings.length === 1 && warnings[0].includes('only the last ones are kept'),
+                'Preloading more commands than the cache holds should warn through the logger');
+            
+            // Concurrent lookups share one index of an NDJSON stream, which keeps positions and no records
+            const layout = await loader.getLayout();
+            if (layout.format === 'ndjson') {
+                const [streamIndex, sameIndex] = await Promise.all([loader.loadStreamIndex(layout), loader.loadStreamIndex(layout)]);
+                this.assert(streamIndex === sameIndex, 'The command stream should be indexed once');
+                this.assert([...streamIndex.values()].every(position => Object.keys(position).join() === 'line,offset,length'),
+                    'The stream index should keep positions only');
+                
+                const uncachedLoader = library.createSchemaLoader(this.schemasPath, { cacheSize: 0 });
+                for (const { command, service } of [third, first]) {
+                    const schema = await uncachedLoader.readCommand(command, service);
+                    this.assert(schema.command === command && !('jsonSchema' in schema), `${command} should be read from the stream`);
+                }
+                this.assert(uncachedLoader.getCacheStats().size === 0, 'cacheSize 0 should keep no stream records');
+            }
+            
+            console.log(`   ✅ Preloaded ${preloaded.commands} ${first.service} commands in ${preloaded.durationMs}ms`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
+    /**
+     * Test ranked search: tokenizing, field filters and scoring, and the extracted search index
+     */
+    async testRankedSearch() {
+        const testName = 'Ranked Search';
+        console.log(`🔍 Testing: ${testName}`);
+        
+        try {
+            const tokens = SearchIndex.tokenize('<p>Copies a KmsKeyId</p>');
+            this.assert(['copies', 'kmskeyid', 'kms', 'key', 'id'].every(token => tokens.includes(token)) && !tokens.includes('a'),
+                'Tokens should split camel case, drop HTML and stop words');
+            
+            const command = (service, operation, parameters, documentation) => SearchIndex.buildDocument({
+                service, operation, command: `${operation}Command`, apiVersion: '2020-01-01', documentation,
+                parameters: Object.fromEntries(parameters.map(name => [name, { name, type: 'string' }]))
+            });
+            const searchIndex = SearchIndex.fromJSON(JSON.parse(JSON.stringify(new SearchIndex([
+                command('ec2', 'CopySnapshot', ['SourceSnapshotId', 'Encrypted', 'KmsKeyId'], 'Copies an encrypted snapshot.'),
+                command('ec2', 'DescribeSnapshots', ['SnapshotIds'], 'Describes snapshots.'),
+                command('rds', 'CreateDBInstance', ['KmsKeyId'], 'Creates a DB instance.'),
+                command('s3', 'PutObject', ['Key', 'Body'], 'Adds an object to a bucket.')
+            ]))));
+            
+            const top = searchIndex.search('encrypt snapshot');
+            this.assert(top[0].command === 'CopySnapshotCommand', 'Documents matching every term should rank first');
+            
+            const withKey = searchIndex.search('parameter:KmsKeyId').map(result => result.command);
+            this.assert(withKey.join() === 'CopySnapshotCommand,CreateDBInstanceCommand' ||
+                withKey.join() === 'CreateDBInstanceCommand,CopySnapshotCommand', 'parameter: should require the parameter');
+            this.assert(searchIndex.search('KmsKeyId', { service: 'rds' }).map(result => result.service).join() === 'rds',
+                'The service option should filter results');
+            this.assert(searchIndex.search('service:ec2 doc:snapshots', { limit: 1 }).length === 1, 'limit should cap results');
+            this.assert(searchIndex.search('parameter:NoSuchParameter snapshot').length === 0, 'Unmatched filters should return nothing');
+            this.assert(searchIndex.search('parameter:kms').map(result => result.command).includes('CopySnapshotCommand'),
+                'Filter terms should also match as a prefix');
+            
+            // Operations without input are searchable by their documentation
+            const listBuckets = await new library.Boto3ServiceJsonParser('.', { logger: null })
+                .parseOperation('s3', 'ListBuckets', { name: 'ListBuckets', documentation: '<p>Returns a list of all buckets.</p>' }, {});
+            const noInput = new SearchIndex([SearchIndex.buildDocument({ ...listBuckets, command: 'ListBucketsCommand', apiVersion: '2006-03-01' })]);
+            this.assert(noInput.search('doc:buckets').length === 1, 'Commands without input should keep their documentation');
+            
+            this.assert(searchIndex.search('doc:the snapshot').length === 0 && searchIndex.search('snapshot', { doc: 'the' }).length === 0,
+                'Filters of only stop words should match nothing');
+            
+            // The search index written at extraction time
+            const index = JSON.parse(await fs.readFile(path.join(this.schemasPath, 'index.json'), 'utf8'));
+            if (!index.search) {
+                console.log('   ⚠️ No search index in this extraction, skipping the loader check');
+                this.passTest(testName);
+                return;
+            }
+            
+            const [serviceName, serviceIndex] = Object.entries(index.services).find(([, entry]) => entry.commands.length > 0);
+            const commandName = serviceIndex.commands[0];
+            const results = await library.createSchemaLoader(this.schemasPath).search(commandName, { service: serviceName });
+            this.assert(results.length > 0 && results[0].command === commandName, `Searching ${commandName} should rank it first`);
+            
+            console.log(`   ✅ ${index.search.documents} commands searchable, ${commandName} ranks first for its name`);
+            
+            this.passTest(testName);
+            
+        } catch (error) {
+            this.failTest(testName, error.message);
+        }
+    }
+
     /**
      * Test loading performance
      */
@@ -327,16 +1651,14 @@ class SchemaTestSuite {
             // Load a few service summaries
             const services = await this.getAvailableServices();
             for (const service of services.slice(0, 5)) {
-                const summaryPath = path.join(this.schemasPath, service, '_service-summary.json');
-                await fs.readFile(summaryPath, 'utf8');
+                await this.loadServiceSummary(service);
             }
             
-            // Load a few command files
+            // Load a few commands
             if (services.length > 0) {
                 const commands = await this.getServiceCommands(services[0]);
                 for (const command of commands.slice(0, 10)) {
-                    const commandPath = path.join(this.schemasPath, services[0], `${command}.json`);
-                    await fs.readFile(commandPath, 'utf8');
+                    await this.loadCommand(services[0], command);
                 }
             }
             
@@ -374,17 +1696,141 @@ class SchemaTestSuite {
     }
 
     /**
-     * Helper: Get commands for a service
+     * Helper: Get the commands written for a service (or an older API version of it), whatever the layout
      */
-    async getServiceCommands(serviceName) {
-        const servicePath = path.join(this.schemasPath, serviceName);
-        const files = await fs.readdir(servicePath);
+    async getServiceCommands(serviceName, apiVersion = null) {
+        const layout = await this.loader.getLayout();
         
+        if (layout.format === 'bundle') {
+            const bundle = await this.loader.loadBundle(serviceName, apiVersion, layout);
+            return Object.keys(bundle.commands);
+        }
+        if (layout.format === 'ndjson') {
+            const version = apiVersion || (await this.loader.getApiVersions(serviceName))[0];
+            const streamIndex = await this.loader.loadStreamIndex(layout);
+            return [...streamIndex.keys()]
+                .filter(key => key.startsWith(`${serviceName}/${version}/`))
+                .map(key => key.split('/')[2]);
+        }
+        
+        const files = await fs.readdir(await this.loader.getServiceDir(serviceName, apiVersion));
         return files
-            .filter(file => file.endsWith('.json') && !file.startsWith('_'))
+            .filter(file => file.endsWith('.json') && !file.startsWith('_') && !file.endsWith('.schema.json'))
             .map(file => file.replace('.json', ''));
     }
 
+    /**
+     * Helper: Load a command, whatever the layout
+     */
+    async loadCommand(serviceName, commandName, apiVersion = null) {
+        return this.loader.readCommand(commandName, serviceName, apiVersion);
+    }
+
+    /**
+     * Helper: Load a service summary, whatever the layout
+     */
+    async loadServiceSummary(serviceName, apiVersion = null) {
+        const summary = await this.loader.getServiceSummary(serviceName, apiVersion);
+        this.assert(summary, `${serviceName} should have a service summary`);
+        return summary;
+    }
+
+    /**
+     * Helper: Load a service's errors or waiters catalog (_errors.json, _waiters.json or part of the bundle)
+     */
+    async loadServiceCatalog(serviceName, catalog) {
+        const layout = await this.loader.getLayout();
+        
+        if (layout.format === 'bundle') {
+            const bundle = await this.loader.loadBundle(serviceName, null, layout);
+            return bundle[catalog];
+        }
+        
+        return JSON.parse(await fs.readFile(path.join(this.schemasPath, serviceName, `_${catalog}.json`), 'utf8'));
+    }
+
+    /**
+     * Helper: Load the JSON Schema of a command (a file, part of the bundle or inline in the stream)
+     */
+    async loadJsonSchema(serviceName, commandName) {
+        return this.loader.getJsonSchema(commandName, serviceName);
+    }
+
+    /**
+     * Write a small botocore data directory (one service, two API versions, a waiter) to extract in tests
+     */
+    async writeSampleBotocoreData(dataDir) {
+        const shapes = {
+            DescribeThingRequest: {
+                type: 'structure',
+                required: ['ThingName'],
+                members: { ThingName: { shape: 'ThingName' }, Tags: { shape: 'TagList' } }
+            },
+            DescribeThingResponse: { type: 'structure', members: { State: { shape: 'String' } } },
+            PutThingRequest: {
+                type: 'structure',
+                required: ['ThingName'],
+                members: { ThingName: { shape: 'ThingName' }, Body: { shape: 'Body' } },
+                payload: 'Body'
+            },
+            TagList: { type: 'list', member: { shape: 'Tag' } },
+            Tag: { type: 'structure', members: { Key: { shape: 'String' }, Value: { shape: 'String' } } },
+            ThingName: { type: 'string', min: 3, max: 64 },
+            Body: { type: 'blob', streaming: true },
+            String: { type: 'string' }
+        };
+        const operations = {
+            DescribeThing: {
+                name: 'DescribeThing',
+                http: { method: 'POST', requestUri: '/' },
+                input: { shape: 'DescribeThingRequest' },
+                output: { shape: 'DescribeThingResponse' },
+                documentation: '<p>Describes a thing.</p>'
+            },
+            PutThing: {
+                name: 'PutThing',
+                http: { method: 'PUT', requestUri: '/things' },
+                input: { shape: 'PutThingRequest' },
+                documentation: '<p>Uploads a thing.</p>'
+            }
+        };
+        const waiters = {
+            version: 2,
+            waiters: {
+                ThingReady: {
+                    operation: 'DescribeThing',
+                    delay: 5,
+                    maxAttempts: 10,
+                    acceptors: [{ matcher: 'path', argument: 'State', expected: 'ready', state: 'success' }]
+                }
+            }
+        };
+        
+        for (const apiVersion of ['2020-01-01', '2019-01-01']) {
+            const versionDir = path.join(dataDir, 'sample', apiVersion);
+            await fs.mkdir(versionDir, { recursive: true });
+            
+            // The older API version has no PutThing yet
+            const versionOperations = apiVersion === '2020-01-01' ? operations : { DescribeThing: operations.DescribeThing };
+            const model = {
+                metadata: { apiVersion, protocol: 'json', serviceFullName: 'Sample Service', serviceId: 'Sample' },
+                operations: versionOperations,
+                shapes
+            };
+            await fs.writeFile(path.join(versionDir, 'service-2.json'), JSON.stringify(model), 'utf8');
+            await fs.writeFile(path.join(versionDir, 'waiters-2.json'), JSON.stringify(waiters), 'utf8');
+        }
+    }
+
+    /**
+     * JSON with sorted object keys, for comparing data read back from reproducible output
+     */
+    toCanonicalJson(value) {
+        return JSON.stringify(value, (key, nested) => (nested && typeof nested === 'object' && !Array.isArray(nested)
+            ? Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]))
+            : nested));
+    }
+
     /**
      * Assert helper
      */
@@ -457,6 +1903,31 @@ class SchemaTestSuite {
             'validation': this.testSchemaValidation.bind(this),
             'consistency': this.testParameterConsistency.bind(this),
             'known': this.testKnownCommands.bind(this),
+            'nested': this.testNestedParameters.bind(this),
+            'jsonschema': this.testJsonSchemaOutput.bind(this),
+            'constraints': this.testParameterConstraints.bind(this),
+            'output': this.testOutputShapes.bind(this),
+            'errors': this.testErrorShapes.bind(this),
+            'pagination': this.testPagination.bind(this),
+            'waiters': this.testWaiters.bind(this),
+            'examples': this.testExamples.bind(this),
+            'http': this.testHttpBindings.bind(this),
+            'collisions': this.testCommandCollisions.bind(this),
+            'versions': this.testApiVersions.bind(this),
+            'request': this.testRequestValidation.bind(this),
+            'typescript': this.testTypeScriptGeneration.bind(this),
+            'zod': this.testZodGeneration.bind(this),
+            'diff': this.testSchemaDiff.bind(this),
+            'compatibility': this.testChangeClassification.bind(this),
+            'library': this.testLibraryEntry.bind(this),
+            'filters': this.testExtractionFilter.bind(this),
+            'concurrency': this.testConcurrencyOrdering.bind(this),
+            'incremental': this.testIncrementalManifest.bind(this),
+            'reproducible': this.testReproducibleOutput.bind(this),
+            'layouts': this.testOutputLayouts.bind(this),
+            'equivalence': this.testLayoutEquivalence.bind(this),
+            'loader': this.testSchemaLoaderCache.bind(this),
+            'search': this.testRankedSearch.bind(this),
             'performance': this.testLoadingPerformance.bind(this)
         };
         
@@ -495,9 +1966,7 @@ class SchemaTestSuite {
                 for (const command of commands.slice(0, 3)) {
                     totalChecked++;
                     
-                    const commandPath = path.join(this.schemasPath, service, `${command}.json`);
-                    const commandContent = await fs.readFile(commandPath, 'utf8');
-                    const commandData = JSON.parse(commandContent);
+                    const commandData = await this.loadCommand(service, command);
                     
                     // Check required top-level fields
                     const requiredTopFields = ['command', 'service', 'operation', 'parameters'];
@@ -559,7 +2028,9 @@ async function main() {
 }
 
 // Run if called directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
     main().catch(error => {
         console.error('❌ Test suite failed:', error.message);
         process.exit(1);
-    });
\ No newline at end of file
+    });
+}
\ No newline at end of file
@@ -0,0 +1,306 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Boto3ServiceJsonParser } from './extractor.js';
+
+class TypeScriptGenerator {
+    constructor(schemasPath = './aws-schemas', outputPath = './aws-types') {
+        this.schemasPath = schemasPath;
+        this.outputPath = outputPath;
+        // Commands are read through the runtime loader, so every output layout works
+        this.loader = Boto3ServiceJsonParser.createRuntimeLoader(schemasPath);
+        this.stats = {
+            totalServices: 0,
+            totalCommands: 0,
+            totalDeclarations: 0
+        };
+    }
+
+    /**
+     * Generate .d.ts files for every service in the schemas directory
+     */
+    async generateAll() {
+        console.log('🧬 Starting TypeScript declaration generator...\n');
+        console.log(`📁 Reading from: ${this.schemasPath}`);
+        console.log(`📁 Writing to: ${this.outputPath}\n`);
+        
+        await fs.mkdir(this.outputPath, { recursive: true });
+        
+        const services = await this.getAvailableServices();
+        
+        for (const serviceName of services) {
+            const declarations = await this.generateServiceDeclarations(serviceName);
+            const outputFile = path.join(this.outputPath, `${serviceName}.d.ts`);
+            await fs.writeFile(outputFile, declarations, 'utf8');
+            console.log(`   ✓ ${serviceName}.d.ts`);
+            this.stats.totalServices++;
+        }
+        
+        // Index re-exporting every service as a namespace
+        const indexContent = [
+            '// Generated from aws-schemas - do not edit',
+            ...services.map(serviceName => `export * as ${this.toNamespace(serviceName)} from './${serviceName}';`),
+            ''
+        ].join('\n');
+        await fs.writeFile(path.join(this.outputPath, 'index.d.ts'), indexContent, 'utf8');
+        console.log('   ✓ index.d.ts');
+        
+        console.log('\n📊 TYPESCRIPT GENERATION SUMMARY:');
+        console.log(`🏗️  Services: ${this.stats.totalServices}`);
+        console.log(`⚙️  Commands: ${this.stats.totalCommands}`);
+        console.log(`🧩 Declarations: ${this.stats.totalDeclarations}`);
+    }
+
+    /**
+     * Generate the .d.ts content for a single service
+     */
+    async generateServiceDeclarations(serviceName) {
+        const commands = await this.getServiceCommands(serviceName);
+        const commandSchemas = [];
+        
+        for (const commandName of commands) {
+            commandSchemas.push(await this.loader.readCommand(commandName, serviceName));
+        }
+        
+        return this.renderServiceDeclarations(serviceName, commandSchemas);
+    }
+
+    /**
+     * Render the .d.ts content for a service from its command schemas
+     */
+    renderServiceDeclarations(serviceName, commandSchemas) {
+        // Shapes referenced recursively need a named declaration even when they are lists or maps
+        const context = {
+            declarations: new Map(),
+            recursiveTargets: new Set(),
+            usesReadable: false
+        };
+        for (const schema of commandSchemas) {
+            for (const node of [...Object.values(schema.parameters || {}), schema.output]) {
+                this.collectRecursiveTargets(node, context.recursiveTargets);
+            }
+        }
+        
+        const commandDeclarations = [];
+        
+        for (const schema of commandSchemas) {
+            // Command input: top-level parameters with required vs optional members
+            const inputMembers = Object.values(schema.parameters || {});
+            commandDeclarations.push(this.renderInterface(
+                `${schema.command}Input`,
+                inputMembers,
+                context,
+                this.cleanComment(schema.documentation)
+            ));
+            
+            // Members referring back to the input shape use its name, so alias it to the input
+            const inputTypeName = schema.inputShape ? this.toTypeName(schema.inputShape) : null;
+            if (inputTypeName && context.recursiveTargets.has(schema.inputShape) && !context.declarations.has(inputTypeName)) {
+                context.declarations.set(inputTypeName, `export type ${inputTypeName} = ${schema.command}Input;\n`);
+            }
+            
+            // Command output: response members (empty interface when nothing is returned)
+            const outputMembers = schema.output && schema.output.members ? Object.values(schema.output.members) : [];
+            commandDeclarations.push(this.renderInterface(`${schema.command}Output`, outputMembers, context));
+            
+            this.stats.totalCommands++;
+        }
+        
+        this.stats.totalDeclarations += context.declarations.size + commandDeclarations.length;
+        
+        return [
+            `// Generated from aws-schemas/${serviceName} - do not edit`,
+            ...(context.usesReadable ? ["import type { Readable as NodeReadable } from 'stream';"] : []),
+            '',
+            ...commandDeclarations,
+            ...context.declarations.values()
+        ].join('\n');
+    }
+
+    /**
+     * Collect shape names that are the target of a recursive reference
+     */
+    collectRecursiveTargets(node, targets) {
+        if (!node) return;
+        
+        if (node.recursive) {
+            targets.add(node.ref);
+            return;
+        }
+        
+        for (const member of Object.values(node.members || {})) {
+            this.collectRecursiveTargets(member, targets);
+        }
+        for (const child of [node.items, node.key, node.value]) {
+            this.collectRecursiveTargets(child, targets);
+        }
+    }
+
+    /**
+     * Render an interface from parameter nodes (required members are non-optional)
+     */
+    renderInterface(interfaceName, members, context, documentation = '') {
+        const lines = [];
+        
+        if (documentation) {
+            lines.push(`/** ${documentation} */`);
+        }
+        lines.push(`export interface ${interfaceName} {`);
+        
+        for (const member of members) {
+            const memberDoc = this.cleanComment(member.documentation);
+            if (memberDoc) {
+                lines.push(`    /** ${memberDoc} */`);
+            }
+            lines.push(`    ${this.toPropertyName(member.name)}${member.required ? '' : '?'}: ${this.renderType(member, context)};`);
+        }
+        
+        lines.push('}', '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Render the TypeScript type of a parameter node, declaring named types as needed
+     */
+    renderType(node, context) {
+        if (node.recursive) {
+            return this.toTypeName(node.ref);
+        }
+        
+        const typeName = node.shape ? this.toTypeName(node.shape) : null;
+        
+        // Structures become named interfaces
+        if (node.type === 'object' && node.members) {
+            if (!context.declarations.has(typeName)) {
+                context.declarations.set(typeName, ''); // Reserve before recursing
+                context.declarations.set(typeName, this.renderInterface(
+                    typeName,
+                    Object.values(node.members),
+                    context
+                ));
+            }
+            return typeName;
+        }
+        
+        // Enums become string-literal union aliases
+        if (node.type === 'string' && node.constraints && node.constraints.enum) {
+            if (!context.declarations.has(typeName)) {
+                const union = node.constraints.enum.map(value => JSON.stringify(value)).join(' | ');
+                context.declarations.set(typeName, `export type ${typeName} = ${union};\n`);
+            }
+            return typeName;
+        }
+        
+        // Lists and maps that are referenced recursively need a named alias
+        if (typeName && context.recursiveTargets.has(node.shape)) {
+            if (!context.declarations.has(typeName)) {
+                context.declarations.set(typeName, '');
+                context.declarations.set(typeName, `export type ${typeName} = ${this.renderInlineType(node, context)};\n`);
+            }
+            return typeName;
+        }
+        
+        return this.renderInlineType(node, context);
+    }
+
+    /**
+     * Render a type without declaring an alias for the node itself. Shapes are declared under their own
+     * names (Kinesis has a Record structure), so globals are qualified and no generic globals are used.
+     */
+    renderInlineType(node, context) {
+        // Blobs and timestamps take what the SDK and RequestValidator accept, not only their string form
+        if (node.format === 'timestamp') {
+            return 'globalThis.Date | string';
+        }
+        if (node.format === 'blob') {
+            context.usesReadable = true;
+            return 'globalThis.Uint8Array | string | NodeReadable';
+        }
+        
+        switch (node.type) {
+            case 'string':
+            case 'number':
+            case 'boolean':
+                return node.type;
+            case 'array': {
+                const itemType = node.items ? this.renderType(node.items, context) : 'unknown';
+                return itemType.includes(' | ') ? `(${itemType})[]` : `${itemType}[]`;
+            }
+            case 'object':
+                return `{ [key: string]: ${node.value ? this.renderType(node.value, context) : 'unknown'} }`;
+            default:
+                return 'unknown';
+        }
+    }
+
+    /**
+     * Make a shape name safe to use as a type name
+     */
+    toTypeName(shapeName) {
+        const name = shapeName.replace(/[^A-Za-z0-9_$]/g, '_');
+        return /^[0-9]/.test(name) ? `_${name}` : name;
+    }
+
+    /**
+     * Quote property names that are not valid identifiers
+     */
+    toPropertyName(name) {
+        return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+    }
+
+    /**
+     * Turn a service folder name (e.g. application-autoscaling) into a namespace identifier
+     */
+    toNamespace(serviceName) {
+        return serviceName
+            .replace(/[^A-Za-z0-9]+(.)/g, (match, char) => char.toUpperCase())
+            .replace(/^[0-9]/, digit => `_${digit}`);
+    }
+
+    /**
+     * Make documentation safe to embed in a single-line doc comment
+     */
+    cleanComment(documentation) {
+        if (!documentation) return '';
+        
+        return documentation
+            .replace(/<[^>]*>/g, '')
+            .replace(/\*\//g, '* /')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Helper: Get available services
+     */
+    async getAvailableServices() {
+        return this.loader.getAvailableServices();
+    }
+
+    /**
+     * Helper: Get commands for a service
+     */
+    async getServiceCommands(serviceName) {
+        return this.loader.getServiceCommands(serviceName);
+    }
+}
+
+// Export for use in other modules
+export { TypeScriptGenerator };
+
+// CLI usage
+async function main() {
+    const schemasPath = process.env.SCHEMAS_PATH || './aws-schemas';
+    const outputPath = process.env.TYPES_OUTPUT_PATH || './aws-types';
+
+    const generator = new TypeScriptGenerator(schemasPath, outputPath);
+    await generator.generateAll();
+}
+
+// Run if called directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch(error => {
+        console.error('❌ TypeScript generation failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -1,5 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { OutputLayout } from './output-layout.js';
 
 class SchemaValidator {
     constructor(schemasPath = './aws-schemas') {
@@ -13,6 +15,11 @@ class SchemaValidator {
             totalCommands: 0,
             totalServices: 0
         };
+        this.reproducible = false; // Reproducible output only carries a timestamp in index.json
+        this.index = null;
+        this.layout = new OutputLayout(); // Read from index.json
+        this.folderDocuments = null; // { folderPath, documents } of the folder being validated
+        this.commandStream = null; // NDJSON records grouped by service/apiVersion
     }
 
     /**
@@ -77,6 +84,28 @@ class SchemaValidator {
                 }
             }
             
+            this.reproducible = Boolean(indexData.reproducible);
+            this.index = indexData;
+            this.layout = OutputLayout.fromIndex(indexData);
+            if (this.layout.format !== 'files') {
+                console.log(`   📦 Layout: ${this.layout.format}${this.layout.compression ? ` (${this.layout.compression})` : ''}`);
+            }
+            
+            // The search index has to cover every latest-version command
+            if (indexData.search) {
+                try {
+                    const searchIndex = await OutputLayout.readJson(path.join(this.schemasPath, indexData.search.path));
+                    const indexedCommands = Object.values(indexData.services || {})
+                        .reduce((total, service) => total + (service.commandCount || 0), 0);
+                    if (searchIndex.documents.length !== indexedCommands) {
+                        this.addError(`Search index has ${searchIndex.documents.length} commands, index.json lists ${indexedCommands}`);
+                    }
+                    console.log(`   🔎 Search index: ${searchIndex.documents.length} commands`);
+                } catch (error) {
+                    this.addError(`Invalid search index ${indexData.search.path}: ${error.message}`);
+                }
+            }
+            
             // Validate stats
             if (indexData.stats) {
                 const requiredStats = ['totalServices', 'totalOperations', 'successfulExtractions'];
@@ -149,6 +178,19 @@ class SchemaValidator {
             // Validate all command files in service
             await this.validateServiceCommands(servicePath, serviceName);
             
+            // Validate waiter definitions (if the service has any)
+            await this.validateServiceWaiters(servicePath, serviceName);
+            
+            // Validate older API versions extracted to versioned subfolders
+            const entries = await fs.readdir(servicePath);
+            for (const entry of entries.filter(entry => /^\d{4}-\d{2}-\d{2}$/.test(entry))) {
+                console.log(`   🔍 Validating service: ${serviceName} (${entry})`);
+                const versionPath = path.join(servicePath, entry);
+                await this.validateServiceSummary(versionPath, serviceName);
+                await this.validateServiceCommands(versionPath, serviceName);
+                await this.validateServiceWaiters(versionPath, serviceName);
+            }
+            
         } catch (error) {
             this.addError(`Service ${serviceName} validation failed: ${error.message}`);
         }
@@ -158,14 +200,12 @@ class SchemaValidator {
      * Validate service summary file
      */
     async validateServiceSummary(servicePath, serviceName) {
-        const summaryPath = path.join(servicePath, '_service-summary.json');
-        
         try {
-            const summaryContent = await fs.readFile(summaryPath, 'utf8');
-            const summaryData = JSON.parse(summaryContent);
+            const summaryData = await this.readDocument(servicePath, '_service-summary.json');
             
             // Validate summary structure
-            const requiredFields = ['service', 'generatedAt', 'totalCommands', 'commands'];
+            const requiredFields = ['service', 'generatedAt', 'totalCommands', 'commands']
+                .filter(field => !(this.reproducible && field === 'generatedAt'));
             for (const field of requiredFields) {
                 if (!(field in summaryData)) {
                     this.addError(`Service ${serviceName} summary missing field: ${field}`);
@@ -184,15 +224,51 @@ class SchemaValidator {
         }
     }
 
+    /**
+     * Validate service waiters file
+     */
+    async validateServiceWaiters(servicePath, serviceName) {
+        let waitersData;
+        try {
+            waitersData = await this.readDocument(servicePath, '_waiters.json');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.addError(`Service ${serviceName} has invalid waiters file: ${error.message}`);
+            }
+            return;
+        }
+        
+        // Polled commands are looked up in one listing of the folder
+        const documents = await this.listDocuments(servicePath);
+        
+        for (const [waiterName, waiter] of Object.entries(waitersData.waiters || {})) {
+            if (typeof waiter.delay !== 'number' || typeof waiter.maxAttempts !== 'number') {
+                this.addError(`Waiter ${serviceName}/${waiterName} must have numeric delay and maxAttempts`);
+            }
+            
+            if (!Array.isArray(waiter.acceptors) || waiter.acceptors.length === 0) {
+                this.addError(`Waiter ${serviceName}/${waiterName} has no acceptors`);
+            }
+            
+            // The polled command must have been extracted
+            if (!documents.includes(`${waiter.command}.json`)) {
+                this.addError(`Waiter ${serviceName}/${waiterName} polls missing command: ${waiter.command}`);
+            }
+        }
+        
+        console.log(`     ⏳ Waiters: ${Object.keys(waitersData.waiters || {}).length}`);
+    }
+
     /**
      * Validate all command files in a service
      */
     async validateServiceCommands(servicePath, serviceName) {
         try {
-            const files = await fs.readdir(servicePath);
+            const files = await this.listDocuments(servicePath);
             const commandFiles = files.filter(file => 
-                file.endsWith('.json') && !file.startsWith('_')
+                file.endsWith('.json') && !file.startsWith('_') && !file.endsWith('.schema.json')
             );
+            const jsonSchemaFiles = files.filter(file => file.endsWith('.schema.json'));
             
             let validCommands = 0;
             
@@ -208,21 +284,114 @@ class SchemaValidator {
             this.stats.validFiles += validCommands;
             this.stats.invalidFiles += (commandFiles.length - validCommands);
             
+            if (jsonSchemaFiles.length > 0) {
+                let validJsonSchemas = 0;
+                
+                for (const jsonSchemaFile of jsonSchemaFiles) {
+                    const isValid = await this.validateJsonSchemaFile(servicePath, serviceName, jsonSchemaFile);
+                    if (isValid) {
+                        validJsonSchemas++;
+                    }
+                    this.stats.totalFiles++;
+                }
+                
+                console.log(`     ✅ ${validJsonSchemas}/${jsonSchemaFiles.length} JSON Schema files valid`);
+                this.stats.validFiles += validJsonSchemas;
+                this.stats.invalidFiles += (jsonSchemaFiles.length - validJsonSchemas);
+            }
+            
         } catch (error) {
             this.addError(`Could not read service ${serviceName} files: ${error.message}`);
         }
     }
 
+    /**
+     * Names of the documents in a service folder as the files layout would name them, so bundled
+     * and streamed commands are listed as <Command>.json and <Command>.schema.json too
+     */
+    async listDocuments(folderPath) {
+        const files = await fs.readdir(folderPath);
+        if (this.layout.format === 'files') {
+            return files;
+        }
+        
+        const documents = await this.loadFolderDocuments(folderPath);
+        return [...files, ...Object.keys(documents)];
+    }
+
+    /**
+     * Read a document of a service folder from its file, bundle or the command stream
+     */
+    async readDocument(folderPath, fileName) {
+        if (this.layout.format !== 'files') {
+            const documents = await this.loadFolderDocuments(folderPath);
+            if (fileName in documents) {
+                return documents[fileName];
+            }
+        }
+        
+        return JSON.parse(await fs.readFile(path.join(folderPath, fileName), 'utf8'));
+    }
+
+    /**
+     * Documents a bundle or the command stream holds for a folder (only the current folder is kept)
+     */
+    async loadFolderDocuments(folderPath) {
+        if (this.folderDocuments && this.folderDocuments.folderPath === folderPath) {
+            return this.folderDocuments.documents;
+        }
+        
+        const documents = {};
+        
+        if (this.layout.format === 'bundle') {
+            const bundle = await OutputLayout.readJson(path.join(folderPath, this.layout.bundleFile));
+            documents['_service-summary.json'] = bundle.summary;
+            documents['_errors.json'] = bundle.errors;
+            if (bundle.waiters) {
+                documents['_waiters.json'] = bundle.waiters;
+            }
+            for (const [commandName, commandData] of Object.entries(bundle.commands || {})) {
+                documents[`${commandName}.json`] = commandData;
+            }
+            for (const [commandName, jsonSchema] of Object.entries(bundle.jsonSchemas || {})) {
+                documents[`${commandName}.schema.json`] = jsonSchema;
+            }
+        } else {
+            if (!this.commandStream) {
+                this.commandStream = new Map();
+                for await (const record of OutputLayout.readStream(path.join(this.schemasPath, this.layout.streamFile))) {
+                    const key = `${record.service}/${record.apiVersion}`;
+                    if (!this.commandStream.has(key)) {
+                        this.commandStream.set(key, []);
+                    }
+                    this.commandStream.get(key).push(record);
+                }
+            }
+            
+            // The folder is <service> (latest API version) or <service>/<apiVersion>
+            const [serviceName, folderVersion] = path.relative(this.schemasPath, folderPath).split(path.sep);
+            const apiVersion = folderVersion || (this.index.services[serviceName] || {}).apiVersion;
+            
+            for (const { jsonSchema, ...commandData } of this.commandStream.get(`${serviceName}/${apiVersion}`) || []) {
+                documents[`${commandData.command}.json`] = commandData;
+                if (jsonSchema) {
+                    documents[`${commandData.command}.schema.json`] = jsonSchema;
+                }
+            }
+        }
+        
+        this.folderDocuments = { folderPath, documents };
+        return documents;
+    }
+
     /**
      * Validate individual command file
      */
     async validateCommandFile(servicePath, serviceName, commandFile) {
-        const commandPath = path.join(servicePath, commandFile);
         const commandName = commandFile.replace('.json', '');
         
         try {
-            const commandContent = await fs.readFile(commandPath, 'utf8');
-            const commandData = JSON.parse(commandContent);
+            const commandData = await this.readDocument(servicePath, commandFile);
             
             // Validate command structure
             const requiredFields = ['command', 'service', 'operation', 'parameters', 'requiredParameters', 'optionalParameters'];
@@ -256,6 +425,97 @@ class SchemaValidator {
                 }
             }
             
+            // Validate HTTP binding
+            if (commandData.http) {
+                if (!commandData.http.method || !commandData.http.requestUri) {
+                    this.addError(`Command ${serviceName}/${commandName} http binding missing method or requestUri`);
+                    isValid = false;
+                } else if (commandData.parameters) {
+                    // Every URI label in the template must be bound to a uri parameter
+                    const labels = (commandData.http.requestUri.match(/\{([^}]+)\}/g) || [])
+                        .map(label => label.slice(1, -1).replace(/\+$/, ''));
+                    const uriNames = Object.values(commandData.parameters)
+                        .filter(param => param.location === 'uri')
+                        .map(param => param.locationName || param.name);
+                    for (const label of labels) {
+                        if (!uriNames.includes(label)) {
+                            this.addWarning(`Command ${serviceName}/${commandName} URI label {${label}} has no uri parameter`);
+                        }
+                    }
+                }
+            }
+            
+            // Validate output (response) tree
+            if (commandData.output) {
+                if (commandData.output.type !== 'object') {
+                    this.addError(`Command ${serviceName}/${commandName} output must be an object, got: ${commandData.output.type}`);
+                    isValid = false;
+                } else if (!this.validateNestedNode(commandData.output, `${serviceName}/${commandName}:output`)) {
+                    isValid = false;
+                }
+            }
+            
+            // Validate modeled errors
+            if (commandData.errors) {
+                if (!Array.isArray(commandData.errors)) {
+                    this.addError(`Command ${serviceName}/${commandName} errors must be an array`);
+                    isValid = false;
+                } else {
+                    for (const error of commandData.errors) {
+                        if (!error.shape || !error.code) {
+                            this.addError(`Command ${serviceName}/${commandName} has error without shape or code`);
+                            isValid = false;
+                        }
+                        if (!['client', 'server'].includes(error.fault)) {
+                            this.addError(`Command ${serviceName}/${commandName} error ${error.shape} has invalid fault: ${error.fault}`);
+                            isValid = false;
+                        }
+                    }
+                }
+            }
+            
+            // Validate pagination metadata
+            if (commandData.pagination) {
+                if (typeof commandData.pagination.paginated !== 'boolean') {
+                    this.addError(`Command ${serviceName}/${commandName} pagination.paginated must be boolean`);
+                    isValid = false;
+                } else if (commandData.pagination.paginated) {
+                    const { inputToken, outputToken } = commandData.pagination;
+                    if (!Array.isArray(inputToken) || inputToken.length === 0 || !Array.isArray(outputToken) || outputToken.length === 0) {
+                        this.addError(`Command ${serviceName}/${commandName} is paginated but missing input/output tokens`);
+                        isValid = false;
+                    } else if (commandData.parameters) {
+                        for (const token of inputToken) {
+                            if (!(token in commandData.parameters)) {
+                                this.addWarning(`Command ${serviceName}/${commandName} input token ${token} is not a parameter`);
+                            }
+                        }
+                    }
+                }
+            }
+            
+            // Validate waiter links
+            if (commandData.waiters && !Array.isArray(commandData.waiters)) {
+                this.addError(`Command ${serviceName}/${commandName} waiters must be an array`);
+                isValid = false;
+            }
+            
+            // Validate examples
+            if (commandData.examples) {
+                if (!Array.isArray(commandData.examples)) {
+                    this.addError(`Command ${serviceName}/${commandName} examples must be an array`);
+                    isValid = false;
+                } else if (commandData.parameters) {
+                    for (const example of commandData.examples) {
+                        for (const param of Object.keys(example.input || {})) {
+                            if (!(param in commandData.parameters)) {
+                                this.addWarning(`Command ${serviceName}/${commandName} example ${example.id} uses unknown parameter ${param}`);
+                            }
+                        }
+                    }
+                }
+            }
+            
             // Validate parameter consistency
             if (commandData.requiredParameters && commandData.optionalParameters && commandData.parameters) {
                 const allParams = [...commandData.requiredParameters, ...commandData.optionalParameters];
@@ -294,6 +554,45 @@ class SchemaValidator {
         }
     }
 
+    /**
+     * Validate a generated JSON Schema file (draft 2020-12, resolvable $refs)
+     */
+    async validateJsonSchemaFile(servicePath, serviceName, jsonSchemaFile) {
+        const commandName = jsonSchemaFile.replace('.schema.json', '');
+        
+        try {
+            const jsonSchema = await this.readDocument(servicePath, jsonSchemaFile);
+            let isValid = true;
+            
+            if (jsonSchema.$schema !== 'https://json-schema.org/draft/2020-12/schema') {
+                this.addError(`JSON Schema ${serviceName}/${commandName} has unexpected $schema: ${jsonSchema.$schema}`);
+                isValid = false;
+            }
+            
+            if (jsonSchema.title !== commandName) {
+                this.addError(`JSON Schema ${serviceName}/${commandName} has wrong title: ${jsonSchema.title}`);
+                isValid = false;
+            }
+            
+            // Every local $ref must point at an entry in $defs
+            const defs = jsonSchema.$defs || {};
+            const refs = JSON.stringify(jsonSchema).match(/"\$ref":"#\/\$defs\/[^"]*"/g) || [];
+            for (const ref of refs) {
+                const defName = ref.slice(ref.lastIndexOf('/') + 1, -1);
+                if (!(defName in defs)) {
+                    this.addError(`JSON Schema ${serviceName}/${commandName} has unresolved $ref: ${defName}`);
+                    isValid = false;
+                }
+            }
+            
+            return isValid;
+            
+        } catch (error) {
+            this.addError(`JSON Schema ${serviceName}/${commandName} invalid JSON: ${error.message}`);
+            return false;
+        }
+    }
+
     /**
      * Validate individual parameter
      */
@@ -326,6 +625,96 @@ class SchemaValidator {
             isValid = false;
         }
         
+        // Validate HTTP binding location
+        const validLocations = ['uri', 'querystring', 'header', 'headers', 'payload', 'body', 'statusCode'];
+        if (paramInfo.location && !validLocations.includes(paramInfo.location)) {
+            this.addWarning(`Parameter ${commandPath}:${paramName} has unusual location: ${paramInfo.location}`);
+        }
+        
+        // Validate value constraints (enum, min, max, pattern)
+        if (paramInfo.constraints && !this.validateConstraints(paramInfo.constraints, `${commandPath}:${paramName}`)) {
+            isValid = false;
+        }
+        
+        // Validate nested parameter tree (structure members, list items, map key/value)
+        if (!this.validateNestedNode(paramInfo, `${commandPath}:${paramName}`)) {
+            isValid = false;
+        }
+        
+        return isValid;
+    }
+
+    /**
+     * Validate value constraints of a parameter node
+     */
+    validateConstraints(constraints, nodePath) {
+        let isValid = true;
+        
+        if ('enum' in constraints && !Array.isArray(constraints.enum)) {
+            this.addError(`Parameter ${nodePath} enum constraint must be an array`);
+            isValid = false;
+        }
+        
+        for (const bound of ['min', 'max']) {
+            if (bound in constraints && typeof constraints[bound] !== 'number') {
+                this.addError(`Parameter ${nodePath} ${bound} constraint must be a number, got: ${typeof constraints[bound]}`);
+                isValid = false;
+            }
+        }
+        
+        if (typeof constraints.min === 'number' && typeof constraints.max === 'number' && constraints.min > constraints.max) {
+            this.addError(`Parameter ${nodePath} has min ${constraints.min} greater than max ${constraints.max}`);
+            isValid = false;
+        }
+        
+        if ('pattern' in constraints && typeof constraints.pattern !== 'string') {
+            this.addError(`Parameter ${nodePath} pattern constraint must be a string`);
+            isValid = false;
+        }
+        
+        return isValid;
+    }
+
+    /**
+     * Validate nested members, list items and map key/value of a parameter node
+     */
+    validateNestedNode(node, nodePath) {
+        let isValid = true;
+        
+        // Recursive references are not expanded
+        if (node.recursive) {
+            if (!node.ref) {
+                this.addError(`Parameter ${nodePath} is recursive but has no ref`);
+                isValid = false;
+            }
+            return isValid;
+        }
+        
+        if (node.members) {
+            for (const [memberName, memberInfo] of Object.entries(node.members)) {
+                if (!this.validateParameter(memberName, memberInfo, nodePath)) {
+                    isValid = false;
+                }
+            }
+            
+            for (const memberName of node.requiredMembers || []) {
+                if (!(memberName in node.members)) {
+                    this.addWarning(`Parameter ${nodePath} requires member ${memberName} but no definition found`);
+                }
+            }
+        }
+        
+        for (const child of ['items', 'key', 'value']) {
+            if (!node[child]) continue;
+            
+            if (!('type' in node[child])) {
+                this.addError(`Parameter ${nodePath}.${child} missing field: type`);
+                isValid = false;
+            } else if (!this.validateNestedNode(node[child], `${nodePath}.${child}`)) {
+                isValid = false;
+            }
+        }
+        
         return isValid;
     }
 
@@ -449,7 +838,9 @@ async function main() {
 }
 
 // Run if called directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
     main().catch(error => {
         console.error('❌ Validation script failed:', error.message);
         process.exit(1);
     });
+}
@@ -0,0 +1,334 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Boto3ServiceJsonParser } from './extractor.js';
+
+// Blob values RequestValidator accepts: strings, binary data, Blobs and (Node.js, web or async iterable) streams
+const BLOB_SCHEMA = `const blobValue = z.union([
+    z.string(),
+    z.instanceof(Uint8Array),
+    z.instanceof(ArrayBuffer),
+    z.custom(value => value !== null && typeof value === 'object' && ((typeof Blob !== 'undefined' && value instanceof Blob) ||
+        typeof value.pipe === 'function' || typeof value.getReader === 'function' || typeof value[Symbol.asyncIterator] === 'function'),
+        { message: 'Expected a string, binary data or a stream' })
+]);
+`;
+
+class ZodGenerator {
+    constructor(schemasPath = './aws-schemas', outputPath = './aws-zod') {
+        this.schemasPath = schemasPath;
+        this.outputPath = outputPath;
+        // Commands are read through the runtime loader, so every output layout works
+        this.loader = Boto3ServiceJsonParser.createRuntimeLoader(schemasPath);
+        this.stats = {
+            totalServices: 0,
+            totalCommands: 0,
+            skippedPatterns: 0
+        };
+    }
+
+    /**
+     * Generate a Zod module for every service in the schemas directory
+     */
+    async generateAll() {
+        console.log('🛡️ Starting Zod validator generator...\n');
+        console.log(`📁 Reading from: ${this.schemasPath}`);
+        console.log(`📁 Writing to: ${this.outputPath}\n`);
+        
+        await fs.mkdir(this.outputPath, { recursive: true });
+        
+        const services = await this.getAvailableServices();
+        
+        for (const serviceName of services) {
+            const moduleContent = await this.generateServiceModule(serviceName);
+            const outputFile = path.join(this.outputPath, `${serviceName}.js`);
+            await fs.writeFile(outputFile, moduleContent, 'utf8');
+            console.log(`   ✓ ${serviceName}.js`);
+            this.stats.totalServices++;
+        }
+        
+        // Index re-exporting every service as a namespace
+        const indexContent = [
+            '// Generated from aws-schemas - do not edit',
+            ...services.map(serviceName => `export * as ${this.toNamespace(serviceName)} from './${serviceName}.js';`),
+            ''
+        ].join('\n');
+        await fs.writeFile(path.join(this.outputPath, 'index.js'), indexContent, 'utf8');
+        console.log('   ✓ index.js');
+        
+        console.log('\n📊 ZOD GENERATION SUMMARY:');
+        console.log(`🏗️  Services: ${this.stats.totalServices}`);
+        console.log(`⚙️  Commands: ${this.stats.totalCommands}`);
+        console.log(`⚠️  Patterns skipped (not valid JavaScript regular expressions): ${this.stats.skippedPatterns}`);
+    }
+
+    /**
+     * Generate the Zod module source for a single service
+     */
+    async generateServiceModule(serviceName) {
+        const commands = await this.getServiceCommands(serviceName);
+        const commandSchemas = [];
+        
+        for (const commandName of commands) {
+            commandSchemas.push(await this.loader.readCommand(commandName, serviceName));
+        }
+        
+        return this.renderServiceModule(serviceName, commandSchemas);
+    }
+
+    /**
+     * Render the Zod module source for a service from its command schemas
+     */
+    renderServiceModule(serviceName, commandSchemas) {
+        // Named shape schemas, in dependency order (dependencies first)
+        const context = {
+            declarations: [],
+            declared: new Set(),
+            recursiveTargets: new Set(),
+            usesBlob: false
+        };
+        for (const schema of commandSchemas) {
+            for (const node of Object.values(schema.parameters || {})) {
+                this.collectRecursiveTargets(node, context.recursiveTargets);
+            }
+        }
+        
+        const commandExports = [];
+        
+        for (const schema of commandSchemas) {
+            // Command input: implicit structure of the top-level parameters
+            const inputMembers = Object.values(schema.parameters || {});
+            
+            // Members referring back to the input shape need it declared under its name, like other shapes
+            if (schema.inputShape && context.recursiveTargets.has(schema.inputShape)) {
+                const schemaName = this.toSchemaName(schema.inputShape);
+                if (!context.declared.has(schemaName)) {
+                    context.declared.add(schemaName); // Reserve before recursing
+                    context.declarations.push(`export const ${schemaName} = ${this.renderObject(inputMembers, context)};\n`);
+                }
+                commandExports.push(`export const ${schema.command}Input = ${schemaName};\n`);
+            } else {
+                commandExports.push(`export const ${schema.command}Input = ${this.renderObject(inputMembers, context)};\n`);
+            }
+            
+            this.stats.totalCommands++;
+        }
+        
+        return [
+            `// Generated from aws-schemas/${serviceName} - do not edit`,
+            "import { z } from 'zod';",
+            '',
+            ...(context.usesBlob ? [BLOB_SCHEMA] : []),
+            ...context.declarations,
+            ...commandExports
+        ].join('\n');
+    }
+
+    /**
+     * Collect shape names that are the target of a recursive reference
+     */
+    collectRecursiveTargets(node, targets) {
+        if (!node) return;
+        
+        if (node.recursive) {
+            targets.add(node.ref);
+            return;
+        }
+        
+        for (const member of Object.values(node.members || {})) {
+            this.collectRecursiveTargets(member, targets);
+        }
+        for (const child of [node.items, node.key, node.value]) {
+            this.collectRecursiveTargets(child, targets);
+        }
+    }
+
+    /**
+     * Render a strict z.object from parameter nodes (non-required members are optional); unions
+     * must have exactly one member set
+     */
+    renderObject(members, context, union = false) {
+        if (members.length === 0) {
+            return 'z.object({}).strict()';
+        }
+        
+        const properties = members.map(member => {
+            const memberSchema = this.renderSchema(member, context);
+            return `    ${this.toPropertyName(member.name)}: ${memberSchema}${member.required ? '' : '.optional()'}`;
+        });
+        
+        const objectSchema = `z.object({\n${properties.join(',\n')}\n}).strict()`;
+        return union
+            ? `${objectSchema}.refine(value => Object.values(value).filter(member => member !== undefined && member !== null).length === 1, { message: 'Expected exactly one member to be set' })`
+            : objectSchema;
+    }
+
+    /**
+     * Render the Zod schema for a parameter node, declaring named shape schemas as needed
+     */
+    renderSchema(node, context) {
+        // Recursive references are resolved lazily once the shape is declared
+        if (node.recursive) {
+            return `z.lazy(() => ${this.toSchemaName(node.ref)})`;
+        }
+        
+        // Structures, and lists or maps referenced recursively, become named (exported) schemas
+        const isStructure = node.type === 'object' && node.members;
+        if (node.shape && (isStructure || context.recursiveTargets.has(node.shape))) {
+            const schemaName = this.toSchemaName(node.shape);
+            
+            if (!context.declared.has(schemaName)) {
+                context.declared.add(schemaName); // Reserve before recursing
+                const shapeSchema = isStructure
+                    ? this.renderObject(Object.values(node.members), context, node.union)
+                    : this.renderInlineSchema(node, context);
+                context.declarations.push(`export const ${schemaName} = ${shapeSchema};\n`);
+            }
+            return schemaName;
+        }
+        
+        return this.renderInlineSchema(node, context);
+    }
+
+    /**
+     * Render a non-structure node with its constraints
+     */
+    renderInlineSchema(node, context) {
+        const constraints = node.constraints || {};
+        const sizeChecks = this.renderSizeChecks(constraints);
+        
+        // Blobs and timestamps take what RequestValidator accepts, not only their string form
+        if (node.format === 'blob') {
+            context.usesBlob = true;
+            return 'blobValue';
+        }
+        if (node.format === 'timestamp') {
+            return 'z.union([z.string(), z.date()])';
+        }
+        
+        switch (node.type) {
+            case 'string': {
+                if (constraints.enum) {
+                    return `z.enum(${JSON.stringify(constraints.enum)})`;
+                }
+                return `z.string()${sizeChecks}${this.renderPattern(constraints.pattern)}`;
+            }
+            case 'number':
+                return `z.number()${['integer', 'long'].includes(node.format) ? '.int()' : ''}${sizeChecks}`;
+            case 'boolean':
+                return 'z.boolean()';
+            case 'array': {
+                const itemSchema = node.items ? this.renderSchema(node.items, context) : 'z.unknown()';
+                return `z.array(${itemSchema})${sizeChecks}`;
+            }
+            case 'object': {
+                const valueSchema = node.value ? this.renderSchema(node.value, context) : 'z.unknown()';
+                let recordSchema = `z.record(z.string(), ${valueSchema})`;
+                
+                // Map entry counts cannot be expressed with record() alone
+                if (typeof constraints.min === 'number') {
+                    recordSchema += `.refine(value => Object.keys(value).length >= ${constraints.min}, { message: 'Expected at least ${constraints.min} entries' })`;
+                }
+                if (typeof constraints.max === 'number') {
+                    recordSchema += `.refine(value => Object.keys(value).length <= ${constraints.max}, { message: 'Expected at most ${constraints.max} entries' })`;
+                }
+                return recordSchema;
+            }
+            default:
+                return 'z.unknown()';
+        }
+    }
+
+    /**
+     * Render .min()/.max() checks (length for strings, value for numbers, item count for lists)
+     */
+    renderSizeChecks(constraints) {
+        let checks = '';
+        
+        if (typeof constraints.min === 'number') {
+            checks += `.min(${constraints.min})`;
+        }
+        if (typeof constraints.max === 'number') {
+            checks += `.max(${constraints.max})`;
+        }
+        
+        return checks;
+    }
+
+    /**
+     * Render a .regex() check, unanchored like botocore patterns; patterns JavaScript cannot parse are skipped
+     */
+    renderPattern(pattern) {
+        if (!pattern) return '';
+        
+        for (const flags of ['u', '']) {
+            try {
+                new RegExp(pattern, flags);
+                return `.regex(new RegExp(${JSON.stringify(pattern)}, ${JSON.stringify(flags)}))`;
+            } catch (error) {
+                continue;
+            }
+        }
+        
+        this.stats.skippedPatterns++;
+        return '';
+    }
+
+    /**
+     * Name of the exported schema for a shape (suffixed to avoid clashing with globals like Object)
+     */
+    toSchemaName(shapeName) {
+        const name = shapeName.replace(/[^A-Za-z0-9_$]/g, '_');
+        return `${/^[0-9]/.test(name) ? `_${name}` : name}Schema`;
+    }
+
+    /**
+     * Quote property names that are not valid identifiers
+     */
+    toPropertyName(name) {
+        return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+    }
+
+    /**
+     * Turn a service folder name (e.g. application-autoscaling) into a namespace identifier
+     */
+    toNamespace(serviceName) {
+        return serviceName
+            .replace(/[^A-Za-z0-9]+(.)/g, (match, char) => char.toUpperCase())
+            .replace(/^[0-9]/, digit => `_${digit}`);
+    }
+
+    /**
+     * Helper: Get available services
+     */
+    async getAvailableServices() {
+        return this.loader.getAvailableServices();
+    }
+
+    /**
+     * Helper: Get commands for a service
+     */
+    async getServiceCommands(serviceName) {
+        return this.loader.getServiceCommands(serviceName);
+    }
+}
+
+// Export for use in other modules
+export { ZodGenerator };
+
+// CLI usage
+async function main() {
+    const schemasPath = process.env.SCHEMAS_PATH || './aws-schemas';
+    const outputPath = process.env.ZOD_OUTPUT_PATH || './aws-zod';
+
+    const generator = new ZodGenerator(schemasPath, outputPath);
+    await generator.generateAll();
+}
+
+// Run if called directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch(error => {
+        console.error('❌ Zod generation failed:', error.message);
+        process.exit(1);
+    });
+}